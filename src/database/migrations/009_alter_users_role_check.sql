@@ -0,0 +1,8 @@
+-- Migration: Extend allowed user roles
+-- Description: Adds editor and media_team roles scoped to particular content types
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check
+  CHECK (role IN ('super_admin', 'admin', 'editor', 'media_team'));
@@ -0,0 +1,18 @@
+-- Migration: Create sessions table
+-- Description: Server-side login sessions holding the hashed rotating refresh token
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id VARCHAR(50) PRIMARY KEY,
+  user_id VARCHAR(50) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
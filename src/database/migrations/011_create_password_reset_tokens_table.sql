@@ -0,0 +1,14 @@
+-- Migration: Create password reset tokens table
+-- Description: Hashed, expiring, single-use tokens for the forgot-password flow
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id VARCHAR(50) PRIMARY KEY,
+  user_id VARCHAR(50) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  requested_ip VARCHAR(45),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
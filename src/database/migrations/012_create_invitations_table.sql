@@ -0,0 +1,19 @@
+-- Migration: Create invitations table
+-- Description: Pending admin invitations - the invitee picks their own password via an expiring link
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id VARCHAR(50) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (role IN ('super_admin', 'admin', 'editor', 'media_team')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_user_id VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
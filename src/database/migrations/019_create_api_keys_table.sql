@@ -0,0 +1,16 @@
+-- Migration: Create API keys table
+-- Description: Scoped, revocable read-only keys for machine clients (lobby displays, mobile app)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  prefix VARCHAR(20) NOT NULL UNIQUE,
+  key_hash VARCHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
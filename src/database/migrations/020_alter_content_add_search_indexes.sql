@@ -0,0 +1,24 @@
+-- Migration: Add full-text search indexes to content tables
+-- Description: GIN indexes over weighted title/description vectors used by GET /api/search
+-- The expressions must match SEARCH_SOURCES in src/lib/db.js exactly or the indexes won't be used
+
+CREATE INDEX IF NOT EXISTS idx_announcements_search ON announcements USING GIN ((
+  setweight(to_tsvector('english', title), 'A') ||
+  setweight(to_tsvector('english', description), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_events_search ON events USING GIN ((
+  setweight(to_tsvector('english', title), 'A') ||
+  setweight(to_tsvector('english', description), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_services_search ON services USING GIN ((
+  setweight(to_tsvector('english', title), 'A') ||
+  setweight(to_tsvector('english', subtitle), 'B') ||
+  setweight(to_tsvector('english', description), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS idx_theme_search ON theme USING GIN ((
+  setweight(to_tsvector('english', title), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+));
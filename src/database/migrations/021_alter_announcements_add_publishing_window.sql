@@ -0,0 +1,7 @@
+-- Migration: Add scheduled publishing window to announcements
+-- Description: Announcements appear publicly from publish_at and disappear at expires_at (both optional)
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_announcements_publish_window ON announcements(publish_at, expires_at);
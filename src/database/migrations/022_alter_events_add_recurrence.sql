@@ -0,0 +1,4 @@
+-- Migration: Add recurrence rules to events
+-- Description: A repeating event stores its rule as JSON; the event date is the first occurrence (see src/lib/recurrence.js)
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence JSONB;
@@ -0,0 +1,16 @@
+-- Migration: Create event occurrence overrides table
+-- Description: Edits to or cancellation of a single occurrence of a recurring event
+
+CREATE TABLE IF NOT EXISTS event_occurrence_overrides (
+  id SERIAL PRIMARY KEY,
+  event_id VARCHAR(50) NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  occurrence_date DATE NOT NULL,
+  title VARCHAR(255),
+  time VARCHAR(50),
+  description TEXT,
+  image_url VARCHAR(500),
+  is_cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event_id, occurrence_date)
+);
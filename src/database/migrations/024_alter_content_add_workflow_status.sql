@@ -0,0 +1,34 @@
+-- Migration: Add draft/review/publish workflow to content tables
+-- Description: Existing rows stay published; new rows start as drafts
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (workflow_status IN ('draft', 'pending_review', 'published', 'archived'));
+ALTER TABLE announcements ALTER COLUMN workflow_status SET DEFAULT 'draft';
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS workflow_comment TEXT;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS workflow_updated_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS workflow_updated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_announcements_workflow_status ON announcements(workflow_status);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (workflow_status IN ('draft', 'pending_review', 'published', 'archived'));
+ALTER TABLE events ALTER COLUMN workflow_status SET DEFAULT 'draft';
+ALTER TABLE events ADD COLUMN IF NOT EXISTS workflow_comment TEXT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS workflow_updated_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS workflow_updated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_events_workflow_status ON events(workflow_status);
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (workflow_status IN ('draft', 'pending_review', 'published', 'archived'));
+ALTER TABLE services ALTER COLUMN workflow_status SET DEFAULT 'draft';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS workflow_comment TEXT;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS workflow_updated_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS workflow_updated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_services_workflow_status ON services(workflow_status);
+
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (workflow_status IN ('draft', 'pending_review', 'published', 'archived'));
+ALTER TABLE theme ALTER COLUMN workflow_status SET DEFAULT 'draft';
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS workflow_comment TEXT;
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS workflow_updated_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS workflow_updated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_theme_workflow_status ON theme(workflow_status);
@@ -0,0 +1,14 @@
+-- Migration: Create announcement revisions table
+-- Description: Snapshot of an announcement after every save, for history, diff and restore
+
+CREATE TABLE IF NOT EXISTS announcement_revisions (
+  id SERIAL PRIMARY KEY,
+  content_id VARCHAR(50) NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  data JSONB NOT NULL,
+  changes JSONB,
+  restored_from INTEGER,
+  created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (content_id, revision)
+);
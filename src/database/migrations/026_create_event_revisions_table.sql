@@ -0,0 +1,17 @@
+-- Migration: Create event revisions table
+-- Description: Snapshot of a event after every save, for history, diff and restore
+
+CREATE TABLE IF NOT EXISTS event_revisions (
+  id SERIAL PRIMARY KEY,
+  content_id VARCHAR(50) NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  data JSONB NOT NULL,
+  changes JSONB,
+  image_url VARCHAR(500),
+  restored_from INTEGER,
+  created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (content_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_revisions_image_url ON event_revisions(image_url);
@@ -0,0 +1,18 @@
+-- Migration: Add trash bin to content tables
+-- Description: Deleted items are kept with deleted_at/deleted_by until restored or purged
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_announcements_deleted_at ON announcements(deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_services_deleted_at ON services(deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_theme_deleted_at ON theme(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,60 @@
+-- Migration: Add slugs to announcements, events and themes
+-- Description: Unique, editable permalinks generated from titles. Existing rows get a slug from their
+-- title, numbered in creation order when titles repeat (a clash with a numbered slug gets an id suffix)
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS slug VARCHAR(100);
+UPDATE announcements SET slug = numbered.base || CASE WHEN numbered.n > 1 THEN '-' || numbered.n ELSE '' END
+FROM (
+  SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'announcement') AS base
+    FROM announcements
+  ) bases
+) numbered
+WHERE announcements.id = numbered.id AND announcements.slug IS NULL;
+UPDATE announcements SET slug = slug || '-' || LEFT(MD5(id), 6)
+WHERE id IN (
+  SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY slug ORDER BY created_at, id) AS n FROM announcements) duplicates
+  WHERE n > 1
+);
+ALTER TABLE announcements ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_announcements_slug ON announcements(slug);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS slug VARCHAR(100);
+UPDATE events SET slug = numbered.base || CASE WHEN numbered.n > 1 THEN '-' || numbered.n ELSE '' END
+FROM (
+  SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'event') AS base
+    FROM events
+  ) bases
+) numbered
+WHERE events.id = numbered.id AND events.slug IS NULL;
+UPDATE events SET slug = slug || '-' || LEFT(MD5(id), 6)
+WHERE id IN (
+  SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY slug ORDER BY created_at, id) AS n FROM events) duplicates
+  WHERE n > 1
+);
+ALTER TABLE events ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_slug ON events(slug);
+
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS slug VARCHAR(100);
+UPDATE theme SET slug = numbered.base || CASE WHEN numbered.n > 1 THEN '-' || numbered.n ELSE '' END
+FROM (
+  SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'theme') AS base
+    FROM theme
+  ) bases
+) numbered
+WHERE theme.id = numbered.id AND theme.slug IS NULL;
+UPDATE theme SET slug = slug || '-' || LEFT(MD5(id), 6)
+WHERE id IN (
+  SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY slug ORDER BY created_at, id) AS n FROM theme) duplicates
+  WHERE n > 1
+);
+ALTER TABLE theme ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_theme_slug ON theme(slug);
@@ -0,0 +1,13 @@
+-- Migration: Create slug redirects table
+-- Description: Previous slugs of announcements, events and themes, so old permalinks keep working after a rename
+
+CREATE TABLE IF NOT EXISTS slug_redirects (
+  id SERIAL PRIMARY KEY,
+  content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('announcements', 'events', 'theme')),
+  slug VARCHAR(100) NOT NULL,
+  content_id VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (content_type, slug)
+);
+
+CREATE INDEX IF NOT EXISTS idx_slug_redirects_content ON slug_redirects(content_type, content_id);
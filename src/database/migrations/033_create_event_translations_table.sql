@@ -0,0 +1,16 @@
+-- Migration: Create event translations table
+-- Description: Translated text fields of events, one row per locale and field
+
+CREATE TABLE IF NOT EXISTS event_translations (
+  id SERIAL PRIMARY KEY,
+  content_id VARCHAR(50) NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  locale VARCHAR(10) NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  value TEXT NOT NULL,
+  updated_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (content_id, locale, field)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_translations_locale ON event_translations(locale);
@@ -0,0 +1,4 @@
+-- Migration: Add registration settings to events
+-- Description: Optional sign-up for an event - capacity, deadline and custom questions as JSON (NULL = no registration)
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS registration JSONB;
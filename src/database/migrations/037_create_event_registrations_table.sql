@@ -0,0 +1,24 @@
+-- Migration: Create event registrations table
+-- Description: People signed up for an event, confirmed or waitlisted, with their answers to the event's questions
+
+CREATE TABLE IF NOT EXISTS event_registrations (
+  id VARCHAR(50) PRIMARY KEY,
+  event_id VARCHAR(50) NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(50),
+  seats INTEGER NOT NULL DEFAULT 1 CHECK (seats > 0),
+  answers JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL CHECK (status IN ('confirmed', 'waitlisted', 'cancelled')),
+  cancel_token_hash VARCHAR(64) NOT NULL,
+  promoted_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_event_status ON event_registrations(event_id, status, created_at);
+
+-- One active registration per email address and event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_registrations_active_email
+  ON event_registrations(event_id, LOWER(email)) WHERE status <> 'cancelled';
@@ -0,0 +1,20 @@
+-- Migration: Create event tickets table
+-- Description: Admission tickets for an event - one per confirmed registration or issued at the door - and their check-ins
+
+CREATE TABLE IF NOT EXISTS event_tickets (
+  id VARCHAR(50) PRIMARY KEY,
+  event_id VARCHAR(50) NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  registration_id VARCHAR(50) UNIQUE REFERENCES event_registrations(id) ON DELETE CASCADE,
+  holder_name VARCHAR(255) NOT NULL,
+  holder_email VARCHAR(255),
+  admits INTEGER NOT NULL DEFAULT 1 CHECK (admits > 0),
+  checked_in_at TIMESTAMP,
+  checked_in_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_tickets_event ON event_tickets(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_event_tickets_checked_in ON event_tickets(event_id, checked_in_at);
@@ -0,0 +1,5 @@
+-- Migration: Add weekly schedule to services
+-- Description: When and where each service meets - a JSON list of weekly slots
+-- ({ weekday, startTime, endTime, venue, language }), times local to Africa/Monrovia
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS schedule JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,19 @@
+-- Migration: Add effective dates, scripture references and confessions to themes
+-- Description: A theme is current from effective_from until effective_to (open-ended when NULL), so next
+-- month's theme can be prepared early. Existing themes take effect from the day they were created,
+-- which keeps the newest one current as before.
+
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS effective_from DATE;
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS effective_to DATE;
+UPDATE theme SET effective_from = created_at::DATE WHERE effective_from IS NULL;
+ALTER TABLE theme ALTER COLUMN effective_from SET NOT NULL;
+ALTER TABLE theme DROP CONSTRAINT IF EXISTS theme_effective_range;
+ALTER TABLE theme
+  ADD CONSTRAINT theme_effective_range
+  CHECK (effective_to IS NULL OR effective_to >= effective_from);
+
+-- [{ "reference": "Isaiah 60:1-3", "text": "Arise, shine..." }] and ["I am a winner..."]
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS scripture_references JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE theme ADD COLUMN IF NOT EXISTS confessions JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_theme_effective_from ON theme(effective_from DESC);
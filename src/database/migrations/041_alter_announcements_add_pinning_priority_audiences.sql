@@ -0,0 +1,15 @@
+-- Migration: Add pinning, priority and audiences to announcements
+-- Description: Pinned announcements (optionally until pinned_until) list first, then higher
+-- priorities, then by date. audiences tags the ministries an announcement is for - empty
+-- means the whole church
+
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS pinned_until TIMESTAMPTZ;
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'normal';
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS audiences TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE announcements DROP CONSTRAINT IF EXISTS announcements_priority_check;
+ALTER TABLE announcements ADD CONSTRAINT announcements_priority_check
+  CHECK (priority IN ('low', 'normal', 'high', 'urgent'));
+
+CREATE INDEX IF NOT EXISTS idx_announcements_audiences ON announcements USING GIN (audiences);
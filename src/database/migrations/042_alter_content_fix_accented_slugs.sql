@@ -0,0 +1,96 @@
+-- Migration: Re-slug titles with accents
+-- Description: The 029 backfill didn't drop accents the way lib/slugs.js does, so "Café Night" got
+-- "caf-night" instead of "cafe-night". Slugs it generated that way are redone to match (numbered
+-- in creation order, with an id suffix on a clash) and the old ones are kept as redirects.
+-- Slugs from 029 are recognised as the old-style base, alone or with its number or id suffix.
+
+CREATE TEMP TABLE slug_fixes (
+  content_type VARCHAR(20) NOT NULL,
+  id VARCHAR(50) NOT NULL,
+  old_slug VARCHAR(100) NOT NULL,
+  new_slug VARCHAR(100) NOT NULL
+) ON COMMIT DROP;
+
+INSERT INTO slug_fixes (content_type, id, old_slug, new_slug)
+SELECT 'announcements', id, slug, new_base || CASE WHEN n > 1 THEN '-' || n ELSE '' END
+FROM (
+  SELECT id, slug, new_base, ROW_NUMBER() OVER (PARTITION BY new_base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at, slug,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'announcement') AS old_base,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(NORMALIZE(title, NFKD), '[\u0300-\u036f]', '', 'g')), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'announcement') AS new_base
+    FROM announcements
+  ) bases
+  WHERE old_base <> new_base AND (slug = old_base OR slug ~ ('^' || old_base || '-([0-9]+|[0-9a-f]{6})$'))
+) numbered;
+UPDATE slug_fixes SET new_slug = new_slug || '-' || LEFT(MD5(id), 6)
+WHERE content_type = 'announcements' AND (
+  EXISTS (SELECT 1 FROM announcements taken WHERE taken.slug = slug_fixes.new_slug)
+  OR EXISTS (SELECT 1 FROM slug_redirects taken WHERE taken.content_type = 'announcements' AND taken.slug = slug_fixes.new_slug)
+  OR EXISTS (
+    SELECT 1 FROM slug_fixes earlier
+    WHERE earlier.content_type = 'announcements' AND earlier.new_slug = slug_fixes.new_slug AND earlier.id < slug_fixes.id
+  )
+);
+INSERT INTO slug_redirects (content_type, slug, content_id)
+SELECT content_type, old_slug, id FROM slug_fixes WHERE content_type = 'announcements'
+ON CONFLICT (content_type, slug) DO NOTHING;
+UPDATE announcements SET slug = slug_fixes.new_slug
+FROM slug_fixes
+WHERE slug_fixes.content_type = 'announcements' AND announcements.id = slug_fixes.id;
+
+INSERT INTO slug_fixes (content_type, id, old_slug, new_slug)
+SELECT 'events', id, slug, new_base || CASE WHEN n > 1 THEN '-' || n ELSE '' END
+FROM (
+  SELECT id, slug, new_base, ROW_NUMBER() OVER (PARTITION BY new_base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at, slug,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'event') AS old_base,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(NORMALIZE(title, NFKD), '[\u0300-\u036f]', '', 'g')), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'event') AS new_base
+    FROM events
+  ) bases
+  WHERE old_base <> new_base AND (slug = old_base OR slug ~ ('^' || old_base || '-([0-9]+|[0-9a-f]{6})$'))
+) numbered;
+UPDATE slug_fixes SET new_slug = new_slug || '-' || LEFT(MD5(id), 6)
+WHERE content_type = 'events' AND (
+  EXISTS (SELECT 1 FROM events taken WHERE taken.slug = slug_fixes.new_slug)
+  OR EXISTS (SELECT 1 FROM slug_redirects taken WHERE taken.content_type = 'events' AND taken.slug = slug_fixes.new_slug)
+  OR EXISTS (
+    SELECT 1 FROM slug_fixes earlier
+    WHERE earlier.content_type = 'events' AND earlier.new_slug = slug_fixes.new_slug AND earlier.id < slug_fixes.id
+  )
+);
+INSERT INTO slug_redirects (content_type, slug, content_id)
+SELECT content_type, old_slug, id FROM slug_fixes WHERE content_type = 'events'
+ON CONFLICT (content_type, slug) DO NOTHING;
+UPDATE events SET slug = slug_fixes.new_slug
+FROM slug_fixes
+WHERE slug_fixes.content_type = 'events' AND events.id = slug_fixes.id;
+
+INSERT INTO slug_fixes (content_type, id, old_slug, new_slug)
+SELECT 'theme', id, slug, new_base || CASE WHEN n > 1 THEN '-' || n ELSE '' END
+FROM (
+  SELECT id, slug, new_base, ROW_NUMBER() OVER (PARTITION BY new_base ORDER BY created_at, id) AS n
+  FROM (
+    SELECT id, created_at, slug,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'theme') AS old_base,
+      COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(NORMALIZE(title, NFKD), '[\u0300-\u036f]', '', 'g')), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'theme') AS new_base
+    FROM theme
+  ) bases
+  WHERE old_base <> new_base AND (slug = old_base OR slug ~ ('^' || old_base || '-([0-9]+|[0-9a-f]{6})$'))
+) numbered;
+UPDATE slug_fixes SET new_slug = new_slug || '-' || LEFT(MD5(id), 6)
+WHERE content_type = 'theme' AND (
+  EXISTS (SELECT 1 FROM theme taken WHERE taken.slug = slug_fixes.new_slug)
+  OR EXISTS (SELECT 1 FROM slug_redirects taken WHERE taken.content_type = 'theme' AND taken.slug = slug_fixes.new_slug)
+  OR EXISTS (
+    SELECT 1 FROM slug_fixes earlier
+    WHERE earlier.content_type = 'theme' AND earlier.new_slug = slug_fixes.new_slug AND earlier.id < slug_fixes.id
+  )
+);
+INSERT INTO slug_redirects (content_type, slug, content_id)
+SELECT content_type, old_slug, id FROM slug_fixes WHERE content_type = 'theme'
+ON CONFLICT (content_type, slug) DO NOTHING;
+UPDATE theme SET slug = slug_fixes.new_slug
+FROM slug_fixes
+WHERE slug_fixes.content_type = 'theme' AND theme.id = slug_fixes.id;
@@ -0,0 +1,6 @@
+-- Migration: Record where event registrations come from
+-- Description: The IP address each sign-up came from, so public registrations can be limited per IP like logins
+
+ALTER TABLE event_registrations ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_ip_created_at ON event_registrations(ip_address, created_at DESC);
@@ -14,6 +14,11 @@ const servicesRoutes = require('./routes/services');
 const themeRoutes = require('./routes/theme');
 const uploadRoutes = require('./routes/upload');
 const usersRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const apiKeysRoutes = require('./routes/apiKeys');
+const searchRoutes = require('./routes/search');
+const trashRoutes = require('./routes/trash');
+const { scheduleTrashPurge } = require('./lib/trash');
 
 const app = express();
 const PORT = process.env.PORT || 8010;
@@ -24,7 +29,7 @@ app.use(cors({
   origin: corsOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Parse JSON bodies
@@ -44,6 +49,10 @@ app.use('/api/services', servicesRoutes);
 app.use('/api/theme', themeRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -110,6 +119,9 @@ async function startServer() {
     console.log(`API server running on http://localhost:${PORT}`);
     console.log(`Allowed origins: ${corsOrigins.join(', ')}`);
   });
+
+  // Deleted content past its retention period is purged hourly
+  scheduleTrashPurge();
 }
 
 startServer();
@@ -0,0 +1,14 @@
+// Announcement ordering and targeting
+// - Pinned announcements list first, until pinnedUntil if one is set
+// - Then by priority, highest first, then by date
+// - audiences tags the ministries an announcement is for, e.g. ['youth', 'workforce'];
+//   an announcement with no audiences is for the whole church and shows on every ministry's list
+const ANNOUNCEMENT_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const AUDIENCE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const AUDIENCE_MAX_LENGTH = 40;
+
+module.exports = {
+  ANNOUNCEMENT_PRIORITIES,
+  AUDIENCE_PATTERN,
+  AUDIENCE_MAX_LENGTH
+};
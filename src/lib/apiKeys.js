@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { randomToken, hashToken, hashesMatch } = require('./tokens');
+const db = require('./db');
+
+// Keys look like "wck_<prefix>_<secret>". The prefix identifies the key in lists and
+// lookups; only a hash of the whole key is stored, so the full key is shown once.
+const API_KEY_PREFIX = 'wck_';
+
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+function generateApiKey() {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${randomToken(24)}`;
+
+  return {
+    key,
+    prefix,
+    keyHash: hashToken(key)
+  };
+}
+
+function parsePrefix(key) {
+  const separator = key.lastIndexOf('_');
+  return separator > API_KEY_PREFIX.length ? key.slice(0, separator) : null;
+}
+
+// Returns the active API key record for a presented key, or null
+async function verifyApiKey(key) {
+  const prefix = parsePrefix(key);
+  if (!prefix) return null;
+
+  const apiKey = await db.getActiveApiKeyByPrefix(prefix);
+  if (!apiKey || !hashesMatch(hashToken(key), apiKey.keyHash)) {
+    return null;
+  }
+
+  await db.touchApiKey(apiKey.id);
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  isApiKey,
+  generateApiKey,
+  verifyApiKey
+};
@@ -0,0 +1,80 @@
+const db = require('./db');
+
+// Never written to the audit log
+const SENSITIVE_FIELDS = ['passwordHash', 'totpSecret', 'refreshTokenHash', 'tokenHash'];
+
+// Bookkeeping fields that change on every write
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+function sanitize(record) {
+  if (!record) return null;
+
+  const clean = {};
+  for (const key in record) {
+    if (!SENSITIVE_FIELDS.includes(key)) {
+      clean[key] = record[key];
+    }
+  }
+  return clean;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Keep only the fields that changed between two versions of a record
+function diffRecords(before, after) {
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (IGNORED_DIFF_FIELDS.includes(key)) continue;
+
+    if (!valuesEqual(before[key], after[key])) {
+      changedBefore[key] = before[key] ?? null;
+      changedAfter[key] = after[key] ?? null;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+// Write an audit log entry for the current request
+// Actor defaults to the authenticated user; pass actor: null for system actions (e.g. lockouts)
+// When both before and after are given only the changed fields are stored
+// Never throws - a failed audit write must not break the action being audited
+async function recordAudit(req, { action, entityType, entityId, before, after, actor }) {
+  const who = actor === undefined ? req.user : actor;
+
+  let beforeData = sanitize(before);
+  let afterData = sanitize(after);
+
+  if (beforeData && afterData) {
+    ({ before: beforeData, after: afterData } = diffRecords(beforeData, afterData));
+  }
+
+  try {
+    await db.createAuditEntry({
+      actorId: who?.id,
+      actorEmail: who?.email,
+      action,
+      entityType,
+      entityId,
+      before: beforeData,
+      after: afterData,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+}
+
+module.exports = {
+  recordAudit,
+  diffRecords
+};
@@ -1,4 +1,8 @@
 const { pool } = require('../database/connection');
+const { escapeHtml } = require('./html');
+const { toDateString, expandOccurrences, addDaysToDateString } = require('./recurrence');
+const { ANNOUNCEMENT_PRIORITIES } = require('./announcements');
+const { SCHEDULE_TIMEZONE, churchToday } = require('./schedules');
 
 // Helper to convert snake_case to camelCase for response
 function toCamelCase(row) {
@@ -15,27 +19,156 @@ function toCamelCaseArray(rows) {
   return rows.map(toCamelCase);
 }
 
-// ==================== ANNOUNCEMENTS ====================
+// ==================== LIST HELPERS ====================
+
+// Turns a validated sort value ("date" or "-date" for descending) into an ORDER BY clause
+// sortColumns whitelists the API field names that map to SQL columns
+function orderByClause(sort, sortColumns, defaultOrder) {
+  if (!sort) return defaultOrder;
+
+  const descending = sort.startsWith('-');
+  const column = sortColumns[descending ? sort.slice(1) : sort];
+  if (!column) return defaultOrder;
+
+  // id keeps the order stable between pages when values tie
+  return `${column} ${descending ? 'DESC' : 'ASC'}, id ASC`;
+}
+
+// Filtered, sorted page of a table plus the total matching rows
+async function paginate(table, { columns = '*', conditions = [], params = [], orderBy, page = 1, limit = 50 }) {
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-async function getAnnouncements() {
+  const countResult = await pool.query(`SELECT COUNT(*)::INTEGER AS total FROM ${table} ${where}`, params);
+
+  const pageParams = [...params, limit, (page - 1) * limit];
   const result = await pool.query(
-    'SELECT * FROM announcements WHERE is_active = TRUE ORDER BY date DESC'
+    `SELECT ${columns} FROM ${table} ${where}
+     ORDER BY ${orderBy}
+     LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+    pageParams
   );
-  return toCamelCaseArray(result.rows);
+
+  return {
+    rows: toCamelCaseArray(result.rows),
+    total: countResult.rows[0].total
+  };
+}
+
+// Tables that go through the review workflow and the trash bin
+const CONTENT_TABLES = ['announcements', 'events', 'services', 'theme'];
+
+function checkContentTable(table) {
+  if (!CONTENT_TABLES.includes(table)) {
+    throw new Error(`Unknown content table: ${table}`);
+  }
+}
+
+// Workflow filter for content lists - "published" unless a status (or "all") is asked for
+// Trashed rows are always left out
+function workflowConditions({ workflowStatus = 'published' }) {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  if (workflowStatus !== 'all') {
+    params.push(workflowStatus);
+    conditions.push(`workflow_status = $${params.length}`);
+  }
+
+  return { conditions, params };
+}
+
+// Shared WHERE conditions for content lists: workflow status, active flag and a from/to
+// range on the date column
+function contentConditions(options) {
+  const { includeInactive = false, from, to } = options;
+  const { conditions, params } = workflowConditions(options);
+
+  if (!includeInactive) {
+    conditions.push('is_active = TRUE');
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`date >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`date <= $${params.length}`);
+  }
+
+  return { conditions, params };
+}
+
+// ==================== ANNOUNCEMENTS ====================
+
+// Pin still in effect, and priority as a number to sort on (see lib/announcements.js)
+const ANNOUNCEMENT_PINNED = '(is_pinned AND (pinned_until IS NULL OR pinned_until > NOW()))';
+const ANNOUNCEMENT_PRIORITY_RANK = `CASE priority ${ANNOUNCEMENT_PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} END`;
+
+const ANNOUNCEMENT_SORT_COLUMNS = {
+  date: 'date',
+  title: 'title',
+  priority: ANNOUNCEMENT_PRIORITY_RANK,
+  publishAt: 'publish_at',
+  expiresAt: 'expires_at',
+  createdAt: 'created_at'
+};
+
+// Publishing window buckets - public callers only ever get "live"
+const ANNOUNCEMENT_STATUS_CONDITIONS = {
+  live: '(publish_at IS NULL OR publish_at <= NOW()) AND (expires_at IS NULL OR expires_at > NOW())',
+  scheduled: 'publish_at > NOW()',
+  expired: 'expires_at <= NOW()',
+  all: null
+};
+
+// Options: status (default "live"), workflowStatus (default "published"), includeInactive,
+// from, to, audience (list - matches any, plus whole-church announcements), pinned, sort, page, limit
+// Without a sort, pinned announcements come first, then higher priorities, then the latest dates
+async function getAnnouncements(options = {}) {
+  const { status = 'live', audience, pinned, sort, page, limit } = options;
+  const { conditions, params } = contentConditions(options);
+
+  if (ANNOUNCEMENT_STATUS_CONDITIONS[status]) {
+    conditions.push(ANNOUNCEMENT_STATUS_CONDITIONS[status]);
+  }
+  if (audience && audience.length > 0) {
+    params.push(audience);
+    conditions.push(`(audiences = '{}' OR audiences && $${params.length}::TEXT[])`);
+  }
+  if (pinned !== undefined) {
+    conditions.push(pinned ? ANNOUNCEMENT_PINNED : `NOT ${ANNOUNCEMENT_PINNED}`);
+  }
+
+  const { rows, total } = await paginate('announcements', {
+    conditions,
+    params,
+    orderBy: orderByClause(sort, ANNOUNCEMENT_SORT_COLUMNS, `${ANNOUNCEMENT_PINNED} DESC, ${ANNOUNCEMENT_PRIORITY_RANK} DESC, date DESC, id ASC`),
+    page,
+    limit
+  });
+
+  return { announcements: rows, total };
 }
 
 async function getAnnouncementById(id) {
-  const result = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+  const result = await pool.query('SELECT * FROM announcements WHERE id = $1 AND deleted_at IS NULL', [id]);
   return toCamelCase(result.rows[0]);
 }
 
 async function createAnnouncement(announcement) {
-  const { id, title, date, description, icon, badge, badgeVariant } = announcement;
+  const {
+    id, slug, title, date, description, icon, badge, badgeVariant, publishAt, expiresAt,
+    isPinned, pinnedUntil, priority, audiences
+  } = announcement;
   
   await pool.query(
-    `INSERT INTO announcements (id, title, date, description, icon, badge, badge_variant, created_at, updated_at) 
-     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())`,
-    [id, title, date, description, icon, badge, badgeVariant]
+    `INSERT INTO announcements (id, slug, title, date, description, icon, badge, badge_variant, publish_at, expires_at,
+       is_pinned, pinned_until, priority, audiences, created_at, updated_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())`,
+    [
+      id, slug, title, date, description, icon, badge, badgeVariant, publishAt || null, expiresAt || null,
+      Boolean(isPinned), pinnedUntil || null, priority || 'normal', audiences || []
+    ]
   );
   
   return getAnnouncementById(id);
@@ -45,42 +178,82 @@ async function updateAnnouncement(id, updates) {
   const existing = await getAnnouncementById(id);
   if (!existing) return null;
   
-  const { title, date, description, icon, badge, badgeVariant, isActive } = updates;
+  const {
+    slug, title, date, description, icon, badge, badgeVariant, isActive, publishAt, expiresAt,
+    isPinned, pinnedUntil, priority, audiences
+  } = updates;
   
+  // publishAt/expiresAt/pinnedUntil can be cleared with null, so only touch them when they're provided
+  // Unpinning clears pinnedUntil too
   await pool.query(
     `UPDATE announcements 
-     SET title = COALESCE($1, title),
+     SET slug = COALESCE($13, slug),
+         title = COALESCE($1, title),
          date = COALESCE($2, date),
          description = COALESCE($3, description),
          icon = COALESCE($4, icon),
          badge = COALESCE($5, badge),
          badge_variant = COALESCE($6, badge_variant),
          is_active = COALESCE($7, is_active),
+         publish_at = CASE WHEN $8 THEN $9::TIMESTAMPTZ ELSE publish_at END,
+         expires_at = CASE WHEN $10 THEN $11::TIMESTAMPTZ ELSE expires_at END,
+         is_pinned = COALESCE($14, is_pinned),
+         pinned_until = CASE WHEN $14::BOOLEAN IS FALSE THEN NULL WHEN $15 THEN $16::TIMESTAMPTZ ELSE pinned_until END,
+         priority = COALESCE($17, priority),
+         audiences = COALESCE($18::TEXT[], audiences),
          updated_at = NOW()
-     WHERE id = $8`,
-    [title, date, description, icon, badge, badgeVariant, isActive, id]
+     WHERE id = $12`,
+    [
+      title, date, description, icon, badge, badgeVariant, isActive,
+      publishAt !== undefined, publishAt || null,
+      expiresAt !== undefined, expiresAt || null,
+      id, slug,
+      isPinned, pinnedUntil !== undefined, pinnedUntil || null,
+      priority, audiences
+    ]
   );
   
   return getAnnouncementById(id);
 }
 
-async function deleteAnnouncement(id) {
-  const existing = await getAnnouncementById(id);
-  if (!existing) return false;
-  
-  await pool.query('DELETE FROM announcements WHERE id = $1', [id]);
-  return true;
+// Put a revision's content back as stored (see restoreRevisionContent)
+async function restoreAnnouncement(id, data) {
+  await restoreRevisionContent('announcement', id, data);
+  return getAnnouncementById(id);
+}
+
+// Soft delete - the announcement stays in the trash until restored or purged
+async function deleteAnnouncement(id, deletedBy) {
+  return trashContent('announcements', id, deletedBy);
 }
 
 // ==================== EVENTS ====================
 
-async function getEvents() {
-  console.log('🔍 [DB] getEvents() - Fetching all active events from database');
-  const result = await pool.query(
-    'SELECT * FROM events WHERE is_active = TRUE ORDER BY date ASC'
-  );
-  const events = toCamelCaseArray(result.rows);
-  console.log('✅ [DB] getEvents() - Retrieved', events.length, 'events');
+const EVENT_SORT_COLUMNS = { date: 'date', title: 'title', createdAt: 'created_at' };
+
+// Recurring events are expanded at most this far past "from" when no "to" is given
+const EVENT_EXPANSION_DAYS = 365;
+
+// Options: workflowStatus (default "published"), includeInactive, from, to, sort, page, limit
+// With a from/to range recurring events are expanded into one item per occurrence
+async function getEvents(options = {}) {
+  console.log('🔍 [DB] getEvents() - Fetching events from database:', options);
+
+  if (options.from || options.to) {
+    return getEventOccurrences(options);
+  }
+
+  const { sort, page, limit } = options;
+  const { conditions, params } = contentConditions(options);
+
+  const { rows: events, total } = await paginate('events', {
+    conditions,
+    params,
+    orderBy: orderByClause(sort, EVENT_SORT_COLUMNS, 'date ASC, id ASC'),
+    page,
+    limit
+  });
+  console.log('✅ [DB] getEvents() - Retrieved', events.length, 'of', total, 'events');
   events.forEach((event, idx) => {
     console.log(`📊 [DB] Event ${idx + 1}/${events.length}:`, {
       id: event.id,
@@ -90,12 +263,12 @@ async function getEvents() {
       imageUrlPreview: event.imageUrl?.substring(0, 50)
     });
   });
-  return events;
+  return { events, total };
 }
 
 async function getEventById(id) {
   console.log('🔍 [DB] getEventById() - Fetching event with id:', id);
-  const result = await pool.query('SELECT * FROM events WHERE id = $1', [id]);
+  const result = await pool.query('SELECT * FROM events WHERE id = $1 AND deleted_at IS NULL', [id]);
   const event = toCamelCase(result.rows[0]);
   console.log('✅ [DB] getEventById() - Retrieved event:', {
     id: event?.id,
@@ -107,19 +280,121 @@ async function getEventById(id) {
   return event;
 }
 
-async function getUpcomingEvents(limit = 4) {
+// Field used to sort expanded occurrences (mirrors EVENT_SORT_COLUMNS)
+const OCCURRENCE_SORT_VALUES = {
+  date: occurrence => `${occurrence.occurrenceDate} ${occurrence.time || ''}`,
+  title: occurrence => occurrence.title.toLowerCase(),
+  createdAt: occurrence => new Date(occurrence.createdAt).getTime()
+};
+
+function compareOccurrences(sort = 'date') {
+  const descending = sort.startsWith('-');
+  const value = OCCURRENCE_SORT_VALUES[descending ? sort.slice(1) : sort] || OCCURRENCE_SORT_VALUES.date;
+
+  return (a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left < right) return descending ? 1 : -1;
+    if (left > right) return descending ? -1 : 1;
+    return a.occurrenceDate.localeCompare(b.occurrenceDate) || a.id.localeCompare(b.id);
+  };
+}
+
+// One item per occurrence between from and to: one-off events in range plus expanded
+// recurring events with their per-occurrence overrides applied. Sorted and paged in memory.
+// Cancelled occurrences are only included (flagged isCancelled) with includeInactive.
+async function getEventOccurrences(options) {
+  const { includeInactive = false, from, to, sort, page = 1, limit = 50 } = options;
+  const rangeTo = to || addDaysToDateString(from, EVENT_EXPANSION_DAYS);
+  const { conditions, params } = workflowConditions(options);
+
+  if (!includeInactive) {
+    conditions.push('is_active = TRUE');
+  }
+
+  params.push(rangeTo);
+  const rangeToParam = `$${params.length}`;
+  let oneOffRange = `date <= ${rangeToParam}`;
+  if (from) {
+    params.push(from);
+    oneOffRange += ` AND date >= $${params.length}`;
+  }
+  conditions.push(`((recurrence IS NULL AND ${oneOffRange}) OR (recurrence IS NOT NULL AND date <= ${rangeToParam}))`);
+
+  const result = await pool.query(
+    `SELECT * FROM events WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  const events = toCamelCaseArray(result.rows);
+
+  const seriesIds = events.filter(event => event.recurrence).map(event => event.id);
+  const overrides = await getEventOccurrenceOverrides(seriesIds, from, rangeTo);
+  const overridesByKey = new Map(overrides.map(override => [`${override.eventId}|${override.occurrenceDate}`, override]));
+
+  const occurrences = [];
+
+  for (const event of events) {
+    if (!event.recurrence) {
+      const occurrenceDate = toDateString(event.date);
+      occurrences.push({
+        ...event,
+        date: occurrenceDate,
+        occurrenceDate,
+        isRecurring: false,
+        isModified: false,
+        modifiedFields: [],
+        isCancelled: false
+      });
+      continue;
+    }
+
+    for (const occurrenceDate of expandOccurrences(event.date, event.recurrence, from, rangeTo)) {
+      const override = overridesByKey.get(`${event.id}|${occurrenceDate}`);
+      if (override?.isCancelled && !includeInactive) continue;
+
+      occurrences.push({
+        ...event,
+        title: override?.title ?? event.title,
+        time: override?.time ?? event.time,
+        description: override?.description ?? event.description,
+        imageUrl: override?.imageUrl ?? event.imageUrl,
+        date: occurrenceDate,
+        occurrenceDate,
+        isRecurring: true,
+        isModified: Boolean(override),
+        modifiedFields: override ? OVERRIDE_FIELDS.filter(field => override[field] != null) : [],
+        isCancelled: Boolean(override?.isCancelled)
+      });
+    }
+  }
+
+  occurrences.sort(compareOccurrences(sort));
+
+  const start = (page - 1) * limit;
+  console.log('✅ [DB] getEventOccurrences() - Expanded', events.length, 'events into', occurrences.length, 'occurrences');
+  return { events: occurrences.slice(start, start + limit), total: occurrences.length };
+}
+
+// Published events for the iCalendar feed, inactive ones included so subscribers see them cancelled
+// Recurring events are always included; one-offs only from the last year
+async function getCalendarEvents() {
   const result = await pool.query(
-    `SELECT * FROM events 
-     WHERE is_active = TRUE AND date >= CURRENT_DATE 
-     ORDER BY date ASC 
-     LIMIT $1`,
-    [limit]
+    `SELECT * FROM events
+     WHERE workflow_status = 'published' AND deleted_at IS NULL
+       AND (recurrence IS NOT NULL OR date >= CURRENT_DATE - INTERVAL '1 year')
+     ORDER BY date ASC, id ASC`
   );
   return toCamelCaseArray(result.rows);
 }
 
+// Next active, published occurrences from today (in the church's timezone), recurring events included
+async function getUpcomingEvents(limit = 4) {
+  const { events } = await getEventOccurrences({ from: churchToday(), limit });
+  return events;
+}
+
 async function createEvent(event) {
-  const { id, title, date, time, description, imageUrl } = event;
+  const { id, slug, title, date, time, description, imageUrl, recurrence, registration } = event;
 
   console.log('➕ [DB] createEvent() - Creating event:', {
     id,
@@ -130,9 +405,13 @@ async function createEvent(event) {
   });
 
   await pool.query(
-    `INSERT INTO events (id, title, date, time, description, image_url, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
-    [id, title, date, time, description, imageUrl]
+    `INSERT INTO events (id, slug, title, date, time, description, image_url, recurrence, registration, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())`,
+    [
+      id, slug, title, date, time, description, imageUrl,
+      recurrence ? JSON.stringify(recurrence) : null,
+      registration ? JSON.stringify(registration) : null
+    ]
   );
 
   console.log('✅ [DB] createEvent() - Event created, fetching full record');
@@ -159,42 +438,418 @@ async function updateEvent(id, updates) {
     imageUrlLength: existing.imageUrl?.length
   });
 
-  const { title, date, time, description, imageUrl, isActive } = updates;
+  const { slug, title, date, time, description, imageUrl, isActive, recurrence, registration } = updates;
 
+  // recurrence can be cleared with null (making it a one-off), so only touch it when provided
+  // registration likewise (null turns sign-up off)
   await pool.query(
     `UPDATE events
-     SET title = COALESCE($1, title),
+     SET slug = COALESCE($10, slug),
+         title = COALESCE($1, title),
          date = COALESCE($2, date),
          time = COALESCE($3, time),
          description = COALESCE($4, description),
          image_url = COALESCE($5, image_url),
          is_active = COALESCE($6, is_active),
+         recurrence = CASE WHEN $7 THEN $8::JSONB ELSE recurrence END,
+         registration = CASE WHEN $11 THEN $12::JSONB ELSE registration END,
          updated_at = NOW()
-     WHERE id = $7`,
-    [title, date, time, description, imageUrl, isActive, id]
+     WHERE id = $9`,
+    [
+      title, date, time, description, imageUrl, isActive,
+      recurrence !== undefined, recurrence ? JSON.stringify(recurrence) : null,
+      id, slug,
+      registration !== undefined, registration ? JSON.stringify(registration) : null
+    ]
   );
 
   console.log('✅ [DB] updateEvent() - Event updated, fetching updated record');
   return getEventById(id);
 }
 
-async function deleteEvent(id) {
-  const existing = await getEventById(id);
-  if (!existing) return false;
-  
-  await pool.query('DELETE FROM events WHERE id = $1', [id]);
-  return true;
+// Put a revision's content back as stored (see restoreRevisionContent)
+async function restoreEvent(id, data) {
+  await restoreRevisionContent('event', id, data);
+  return getEventById(id);
 }
 
-// ==================== SERVICES ====================
+// Soft delete - the event stays in the trash until restored or purged
+async function deleteEvent(id, deletedBy) {
+  return trashContent('events', id, deletedBy);
+}
+
+// ==================== EVENT OCCURRENCE OVERRIDES ====================
+
+const OVERRIDE_COLUMNS = `id, event_id, occurrence_date::TEXT AS occurrence_date, title, time, description,
+  image_url, is_cancelled, created_at, updated_at`;
+
+// Series fields an override can replace (listed per occurrence as modifiedFields)
+const OVERRIDE_FIELDS = ['title', 'time', 'description', 'imageUrl'];
+
+// Overrides for a set of recurring events, optionally limited to a date range
+async function getEventOccurrenceOverrides(eventIds, from, to) {
+  if (eventIds.length === 0) return [];
+
+  const params = [eventIds];
+  let range = '';
+  if (from) {
+    params.push(from);
+    range += ` AND occurrence_date >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    range += ` AND occurrence_date <= $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT ${OVERRIDE_COLUMNS} FROM event_occurrence_overrides WHERE event_id = ANY($1)${range}`,
+    params
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+async function getEventOccurrenceOverride(eventId, occurrenceDate) {
+  const result = await pool.query(
+    `SELECT ${OVERRIDE_COLUMNS} FROM event_occurrence_overrides WHERE event_id = $1 AND occurrence_date = $2`,
+    [eventId, occurrenceDate]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Create or update the override for one occurrence; omitted fields keep their current value
+async function saveEventOccurrenceOverride(eventId, occurrenceDate, changes) {
+  const { title, time, description, imageUrl, isCancelled } = changes;
+
+  const result = await pool.query(
+    `INSERT INTO event_occurrence_overrides
+       (event_id, occurrence_date, title, time, description, image_url, is_cancelled, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, FALSE), NOW(), NOW())
+     ON CONFLICT (event_id, occurrence_date) DO UPDATE
+     SET title = COALESCE($3, event_occurrence_overrides.title),
+         time = COALESCE($4, event_occurrence_overrides.time),
+         description = COALESCE($5, event_occurrence_overrides.description),
+         image_url = COALESCE($6, event_occurrence_overrides.image_url),
+         is_cancelled = COALESCE($7, event_occurrence_overrides.is_cancelled),
+         updated_at = NOW()
+     RETURNING ${OVERRIDE_COLUMNS}`,
+    [eventId, occurrenceDate, title, time, description, imageUrl, isCancelled]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Drop an override so the occurrence follows the series again
+async function deleteEventOccurrenceOverride(eventId, occurrenceDate) {
+  const result = await pool.query(
+    'DELETE FROM event_occurrence_overrides WHERE event_id = $1 AND occurrence_date = $2',
+    [eventId, occurrenceDate]
+  );
+  return result.rowCount > 0;
+}
+
+// ==================== EVENT REGISTRATIONS ====================
+
+const REGISTRATION_COLUMNS = `id, event_id, name, email, phone, seats, answers, status,
+  promoted_at, cancelled_at, created_at, updated_at`;
 
-async function getServices() {
-  console.log('🔍 [DB] getServices() - Fetching all services from database');
+const REGISTRATION_STATUS_ORDER = "CASE status WHEN 'confirmed' THEN 0 WHEN 'waitlisted' THEN 1 ELSE 2 END";
+
+// Seats taken by confirmed registrations, counted inside a transaction
+async function confirmedSeats(client, eventId) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(seats), 0)::INTEGER AS seats FROM event_registrations
+     WHERE event_id = $1 AND status = 'confirmed'`,
+    [eventId]
+  );
+  return result.rows[0].seats;
+}
+
+// Register for an event - confirmed while the seats fit within capacity (null = unlimited),
+// otherwise waitlisted. The event row is locked so parallel sign-ups can't overbook it.
+// A second active registration for the same email fails on idx_event_registrations_active_email.
+async function createRegistration(registration, capacity) {
+  const { id, eventId, name, email, phone, seats, answers, cancelTokenHash, ipAddress } = registration;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+
+    const taken = await confirmedSeats(client, eventId);
+    const status = capacity == null || taken + seats <= capacity ? 'confirmed' : 'waitlisted';
+
+    const result = await client.query(
+      `INSERT INTO event_registrations (id, event_id, name, email, phone, seats, answers, status, cancel_token_hash, ip_address, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+       RETURNING ${REGISTRATION_COLUMNS}`,
+      [id, eventId, name, email, phone || null, seats, JSON.stringify(answers || {}), status, cancelTokenHash, ipAddress || null]
+    );
+
+    await client.query('COMMIT');
+    return toCamelCase(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Move waitlisted registrations into free seats, oldest first. A party too big for the seats
+// left is skipped so smaller ones behind it can still get in. Returns the promoted registrations.
+async function promoteWaitlist(eventId, capacity) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+
+    const waitlist = await client.query(
+      `SELECT id, seats FROM event_registrations
+       WHERE event_id = $1 AND status = 'waitlisted'
+       ORDER BY created_at ASC, id ASC`,
+      [eventId]
+    );
+
+    let free = capacity == null ? Infinity : capacity - await confirmedSeats(client, eventId);
+    const promoted = [];
+
+    for (const { id, seats } of waitlist.rows) {
+      if (seats > free) continue;
+
+      const result = await client.query(
+        `UPDATE event_registrations SET status = 'confirmed', promoted_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${REGISTRATION_COLUMNS}`,
+        [id]
+      );
+      promoted.push(toCamelCase(result.rows[0]));
+      free -= seats;
+    }
+
+    await client.query('COMMIT');
+    return promoted;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Options: status, page, limit - confirmed first, then the waitlist in order
+async function getRegistrations(eventId, { status, page, limit } = {}) {
+  const conditions = ['event_id = $1'];
+  const params = [eventId];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  const { rows, total } = await paginate('event_registrations', {
+    columns: REGISTRATION_COLUMNS,
+    conditions,
+    params,
+    orderBy: `${REGISTRATION_STATUS_ORDER}, created_at ASC, id ASC`,
+    page,
+    limit
+  });
+  return { registrations: rows, total };
+}
+
+// Every registration for an event (CSV export), optionally one status
+async function getAllRegistrations(eventId, { status } = {}) {
+  const result = await pool.query(
+    `SELECT ${REGISTRATION_COLUMNS} FROM event_registrations
+     WHERE event_id = $1 AND ($2::VARCHAR IS NULL OR status = $2)
+     ORDER BY ${REGISTRATION_STATUS_ORDER}, created_at ASC, id ASC`,
+    [eventId, status || null]
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+async function getRegistrationWithTokenHash(eventId, id) {
+  const result = await pool.query(
+    `SELECT ${REGISTRATION_COLUMNS}, cancel_token_hash FROM event_registrations WHERE id = $1 AND event_id = $2`,
+    [id, eventId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Confirmed and waitlisted registrations and seats for an event
+async function getRegistrationCounts(eventId) {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status = 'confirmed')::INTEGER AS confirmed,
+       COALESCE(SUM(seats) FILTER (WHERE status = 'confirmed'), 0)::INTEGER AS confirmed_seats,
+       COUNT(*) FILTER (WHERE status = 'waitlisted')::INTEGER AS waitlisted,
+       COALESCE(SUM(seats) FILTER (WHERE status = 'waitlisted'), 0)::INTEGER AS waitlisted_seats
+     FROM event_registrations WHERE event_id = $1`,
+    [eventId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Registrations made from an IP in the last few minutes, for the per-IP sign-up limit
+async function countRecentRegistrationsByIp(ipAddress, windowMinutes) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::INTEGER AS count FROM event_registrations
+     WHERE ip_address = $1 AND created_at > NOW() - make_interval(mins => $2)`,
+    [ipAddress, windowMinutes]
+  );
+  return result.rows[0].count;
+}
+
+// Returns the cancelled registration, or null if it was already cancelled
+async function cancelRegistration(id) {
+  const result = await pool.query(
+    `UPDATE event_registrations SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status <> 'cancelled'
+     RETURNING ${REGISTRATION_COLUMNS}`,
+    [id]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// ==================== EVENT TICKETS ====================
+
+const TICKET_COLUMNS = `*, CASE WHEN revoked_at IS NOT NULL THEN 'revoked'
+  WHEN checked_in_at IS NOT NULL THEN 'checked_in' ELSE 'issued' END AS status`;
+
+const TICKET_STATUS_CONDITIONS = {
+  issued: 'revoked_at IS NULL AND checked_in_at IS NULL',
+  checked_in: 'revoked_at IS NULL AND checked_in_at IS NOT NULL',
+  revoked: 'revoked_at IS NOT NULL'
+};
+
+// A registration has at most one ticket - issuing it again returns the existing one
+async function createTicket(ticket) {
+  const { id, eventId, registrationId, holderName, holderEmail, admits, createdBy } = ticket;
+  const result = await pool.query(
+    `INSERT INTO event_tickets (id, event_id, registration_id, holder_name, holder_email, admits, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     ON CONFLICT (registration_id) DO UPDATE SET updated_at = event_tickets.updated_at
+     RETURNING ${TICKET_COLUMNS}`,
+    [id, eventId, registrationId || null, holderName, holderEmail || null, admits, createdBy || null]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Tickets for confirmed registrations that don't have one - those from before tickets existed,
+// or whose ticket failed to issue. Returns how many were issued.
+async function issueMissingRegistrationTickets(eventId) {
+  const result = await pool.query(
+    `INSERT INTO event_tickets (id, event_id, registration_id, holder_name, holder_email, admits, created_at, updated_at)
+     SELECT 'ticket-' || gen_random_uuid(), r.event_id, r.id, r.name, r.email, r.seats, NOW(), NOW()
+     FROM event_registrations r
+     WHERE r.event_id = $1 AND r.status = 'confirmed'
+       AND NOT EXISTS (SELECT 1 FROM event_tickets t WHERE t.registration_id = r.id)
+     ON CONFLICT (registration_id) DO NOTHING`,
+    [eventId]
+  );
+  return result.rowCount;
+}
+
+async function getTicketById(eventId, id) {
   const result = await pool.query(
-    'SELECT * FROM services ORDER BY "order" ASC, created_at DESC'
+    `SELECT ${TICKET_COLUMNS} FROM event_tickets WHERE id = $1 AND event_id = $2`,
+    [id, eventId]
   );
-  const services = toCamelCaseArray(result.rows);
-  console.log('✅ [DB] getServices() - Retrieved', services.length, 'services');
+  return toCamelCase(result.rows[0]);
+}
+
+async function getRegistrationTicket(registrationId) {
+  const result = await pool.query(
+    `SELECT ${TICKET_COLUMNS} FROM event_tickets WHERE registration_id = $1`,
+    [registrationId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Options: status (issued, checked_in or revoked), page, limit - most recent check-ins first
+async function getTickets(eventId, { status, page, limit } = {}) {
+  const conditions = ['event_id = $1'];
+
+  if (status) {
+    conditions.push(TICKET_STATUS_CONDITIONS[status]);
+  }
+
+  const { rows, total } = await paginate('event_tickets', {
+    columns: TICKET_COLUMNS,
+    conditions,
+    params: [eventId],
+    orderBy: 'checked_in_at DESC NULLS LAST, holder_name ASC, id ASC',
+    page,
+    limit
+  });
+  return { tickets: rows, total };
+}
+
+// Marks a ticket as used - returns null if it was already checked in or has been revoked,
+// so two ushers scanning the same code at once can't both let it through
+async function checkInTicket(id, userId) {
+  const result = await pool.query(
+    `UPDATE event_tickets SET checked_in_at = NOW(), checked_in_by = $2, updated_at = NOW()
+     WHERE id = $1 AND checked_in_at IS NULL AND revoked_at IS NULL
+     RETURNING ${TICKET_COLUMNS}`,
+    [id, userId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Returns the revoked ticket, or null if there was nothing to revoke
+async function revokeTicket(id) {
+  const result = await pool.query(
+    `UPDATE event_tickets SET revoked_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${TICKET_COLUMNS}`,
+    [id]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+async function revokeRegistrationTicket(registrationId) {
+  const result = await pool.query(
+    `UPDATE event_tickets SET revoked_at = NOW(), updated_at = NOW()
+     WHERE registration_id = $1 AND revoked_at IS NULL
+     RETURNING ${TICKET_COLUMNS}`,
+    [registrationId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Valid tickets and how many of them (and the people they admit) are in
+async function getAttendanceCounts(eventId) {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*)::INTEGER AS tickets,
+       COALESCE(SUM(admits), 0)::INTEGER AS expected,
+       COUNT(*) FILTER (WHERE checked_in_at IS NOT NULL)::INTEGER AS checked_in_tickets,
+       COALESCE(SUM(admits) FILTER (WHERE checked_in_at IS NOT NULL), 0)::INTEGER AS checked_in,
+       MAX(checked_in_at) AS last_check_in_at
+     FROM event_tickets WHERE event_id = $1 AND revoked_at IS NULL`,
+    [eventId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// ==================== SERVICES ====================
+
+const SERVICE_SORT_COLUMNS = { order: '"order"', title: 'title', createdAt: 'created_at' };
+
+// Options: workflowStatus (default "published"), sort, page, limit
+async function getServices(options = {}) {
+  const { sort, page, limit } = options;
+  console.log('🔍 [DB] getServices() - Fetching services from database:', options);
+  const { conditions, params } = workflowConditions(options);
+  const { rows: services, total } = await paginate('services', {
+    conditions,
+    params,
+    orderBy: orderByClause(sort, SERVICE_SORT_COLUMNS, '"order" ASC, created_at DESC, id ASC'),
+    page,
+    limit
+  });
+  console.log('✅ [DB] getServices() - Retrieved', services.length, 'of', total, 'services');
   services.forEach((service, idx) => {
     console.log(`📊 [DB] Service ${idx + 1}/${services.length}:`, {
       id: service.id,
@@ -204,12 +859,12 @@ async function getServices() {
       imageUrlPreview: service.imageUrl?.substring(0, 50)
     });
   });
-  return services;
+  return { services, total };
 }
 
 async function getServiceById(id) {
   console.log('🔍 [DB] getServiceById() - Fetching service with id:', id);
-  const result = await pool.query('SELECT * FROM services WHERE id = $1', [id]);
+  const result = await pool.query('SELECT * FROM services WHERE id = $1 AND deleted_at IS NULL', [id]);
   const service = toCamelCase(result.rows[0]);
   console.log('✅ [DB] getServiceById() - Retrieved service:', {
     id: service?.id,
@@ -222,7 +877,7 @@ async function getServiceById(id) {
 }
 
 async function createService(service) {
-  const { id, title, subtitle, description, imageUrl, order } = service;
+  const { id, title, subtitle, description, imageUrl, order, schedule } = service;
 
   console.log('➕ [DB] createService() - Creating service:', {
     id,
@@ -233,9 +888,9 @@ async function createService(service) {
   });
 
   await pool.query(
-    `INSERT INTO services (id, title, subtitle, description, image_url, "order", created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
-    [id, title, subtitle, description, imageUrl, order]
+    `INSERT INTO services (id, title, subtitle, description, image_url, "order", schedule, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())`,
+    [id, title, subtitle, description, imageUrl, order, JSON.stringify(schedule || [])]
   );
 
   console.log('✅ [DB] createService() - Service created, fetching full record');
@@ -262,7 +917,7 @@ async function updateService(id, updates) {
     imageUrlLength: existing.imageUrl?.length
   });
 
-  const { title, subtitle, description, imageUrl, order } = updates;
+  const { title, subtitle, description, imageUrl, order, schedule } = updates;
 
   await pool.query(
     `UPDATE services
@@ -271,35 +926,79 @@ async function updateService(id, updates) {
          description = COALESCE($3, description),
          image_url = COALESCE($4, image_url),
          "order" = COALESCE($5, "order"),
+         schedule = COALESCE($7::JSONB, schedule),
          updated_at = NOW()
      WHERE id = $6`,
-    [title, subtitle, description, imageUrl, order, id]
+    [title, subtitle, description, imageUrl, order, id, schedule ? JSON.stringify(schedule) : null]
   );
 
   console.log('✅ [DB] updateService() - Service updated, fetching updated record');
   return getServiceById(id);
 }
 
-async function deleteService(id) {
-  const existing = await getServiceById(id);
-  if (!existing) return false;
+// Published services that meet on a weekly schedule, in display order
+async function getScheduledServices() {
+  const result = await pool.query(
+    `SELECT * FROM services
+     WHERE workflow_status = 'published' AND deleted_at IS NULL AND jsonb_array_length(schedule) > 0
+     ORDER BY "order" ASC, created_at DESC, id ASC`
+  );
+  return toCamelCaseArray(result.rows);
+}
 
-  await pool.query('DELETE FROM services WHERE id = $1', [id]);
-  return true;
+// Put a revision's content back as stored (see restoreRevisionContent)
+async function restoreService(id, data) {
+  await restoreRevisionContent('service', id, data);
+  return getServiceById(id);
+}
+
+// Soft delete - the service stays in the trash until restored or purged
+async function deleteService(id, deletedBy) {
+  return trashContent('services', id, deletedBy);
 }
 
 // ==================== USERS ====================
 
-async function getUsers() {
-  const result = await pool.query(
-    'SELECT id, email, name, role, must_change_password, is_active, last_login, created_at, updated_at FROM users WHERE is_active = TRUE ORDER BY created_at DESC'
-  );
-  return toCamelCaseArray(result.rows);
+// Safe columns - never includes password_hash or totp_secret
+const USER_COLUMNS = `id, email, name, role, must_change_password, is_active, last_login,
+  failed_login_count, last_failed_login_at, locked_until, totp_enabled, totp_required, created_at, updated_at`;
+
+const USER_SORT_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  role: 'role',
+  lastLogin: 'last_login',
+  createdAt: 'created_at'
+};
+
+// Options: includeInactive, role, sort, page, limit
+async function getUsers({ includeInactive = false, role, sort, page, limit } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!includeInactive) {
+    conditions.push('is_active = TRUE');
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`role = $${params.length}`);
+  }
+
+  const { rows, total } = await paginate('users', {
+    columns: USER_COLUMNS,
+    conditions,
+    params,
+    orderBy: orderByClause(sort, USER_SORT_COLUMNS, 'created_at DESC, id ASC'),
+    page,
+    limit
+  });
+
+  return { users: rows, total };
 }
 
 async function getUserById(id) {
   const result = await pool.query(
-    'SELECT id, email, name, role, must_change_password, is_active, last_login, created_at, updated_at FROM users WHERE id = $1',
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
     [id]
   );
   return toCamelCase(result.rows[0]);
@@ -345,12 +1044,13 @@ async function updateUser(id, updates) {
   return getUserById(id);
 }
 
-async function updateUserPassword(id, passwordHash) {
+// mustChangePassword: true for temporary passwords set by an admin
+async function updateUserPassword(id, passwordHash, { mustChangePassword = false } = {}) {
   await pool.query(
     `UPDATE users 
-     SET password_hash = $1, must_change_password = FALSE, updated_at = NOW()
-     WHERE id = $2`,
-    [passwordHash, id]
+     SET password_hash = $1, must_change_password = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [passwordHash, mustChangePassword, id]
   );
   return getUserById(id);
 }
@@ -366,20 +1066,507 @@ async function deleteUser(id) {
   const existing = await getUserById(id);
   if (!existing) return false;
   
-  // Soft delete - just deactivate
+  // Soft delete - just deactivate and sign out everywhere
   await pool.query('UPDATE users SET is_active = FALSE, updated_at = NOW() WHERE id = $1', [id]);
+  await revokeUserSessions(id);
   return true;
 }
 
-// ==================== THEME ====================
+// Count a failed login; locks the account once maxAttempts is reached
+// (the counter restarts so the user gets a fresh set of attempts after the lockout)
+async function registerFailedLogin(id, maxAttempts, lockoutMinutes) {
+  const result = await pool.query(
+    `UPDATE users
+     SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+         locked_until = CASE WHEN failed_login_count + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+         last_failed_login_at = NOW()
+     WHERE id = $1
+     RETURNING failed_login_count, locked_until`,
+    [id, maxAttempts, lockoutMinutes]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+async function resetFailedLogins(id) {
+  await pool.query(
+    'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1',
+    [id]
+  );
+}
+
+async function unlockUser(id) {
+  const existing = await getUserById(id);
+  if (!existing) return null;
+
+  await resetFailedLogins(id);
+  return getUserById(id);
+}
+
+// ==================== TWO-FACTOR ====================
+
+async function getUserTwoFactor(id) {
+  const result = await pool.query(
+    `SELECT id, email, totp_secret, totp_enabled, totp_last_used_step, totp_required
+     FROM users WHERE id = $1 AND is_active = TRUE`,
+    [id]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Store a secret that isn't active until the user confirms a code
+async function setPendingTotpSecret(id, secret) {
+  const result = await pool.query(
+    'UPDATE users SET totp_secret = $1, updated_at = NOW() WHERE id = $2 AND totp_enabled = FALSE',
+    [secret, id]
+  );
+  return result.rowCount > 0;
+}
+
+async function enableTotp(id, step) {
+  await pool.query(
+    `UPDATE users
+     SET totp_enabled = TRUE, totp_enabled_at = NOW(), totp_last_used_step = $1, updated_at = NOW()
+     WHERE id = $2`,
+    [step, id]
+  );
+  return getUserById(id);
+}
+
+async function disableTotp(id) {
+  await pool.query(
+    `UPDATE users
+     SET totp_secret = NULL, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [id]
+  );
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [id]);
+  return getUserById(id);
+}
+
+// Atomically claims a time step - false if it (or a later one) was already used
+async function claimTotpStep(id, step) {
+  const result = await pool.query(
+    `UPDATE users SET totp_last_used_step = $1
+     WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)`,
+    [step, id]
+  );
+  return result.rowCount > 0;
+}
+
+async function setTotpRequired(id, required) {
+  const existing = await getUserById(id);
+  if (!existing) return null;
+
+  await pool.query(
+    'UPDATE users SET totp_required = $1, updated_at = NOW() WHERE id = $2',
+    [required, id]
+  );
+  return getUserById(id);
+}
+
+async function replaceRecoveryCodes(userId, codeHashes) {
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
 
-async function getThemes() {
-  console.log('🔍 [DB] getThemes() - Fetching all themes from database');
+  for (const codeHash of codeHashes) {
+    await pool.query(
+      'INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, codeHash]
+    );
+  }
+}
+
+async function consumeRecoveryCode(userId, codeHash) {
   const result = await pool.query(
-    'SELECT * FROM theme ORDER BY created_at DESC'
+    `UPDATE recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [userId, codeHash]
+  );
+  return result.rowCount > 0;
+}
+
+async function countRemainingRecoveryCodes(userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::INTEGER AS count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+// ==================== LOGIN ATTEMPTS ====================
+
+async function recordLoginAttempt({ email, ipAddress, success }) {
+  await pool.query(
+    'INSERT INTO login_attempts (email, ip_address, success, created_at) VALUES ($1, $2, $3, NOW())',
+    [email.toLowerCase(), ipAddress || null, success]
+  );
+}
+
+async function countRecentFailedLoginsByIp(ipAddress, windowMinutes) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::INTEGER AS count FROM login_attempts
+     WHERE ip_address = $1 AND success = FALSE AND created_at > NOW() - make_interval(mins => $2)`,
+    [ipAddress, windowMinutes]
+  );
+  return result.rows[0].count;
+}
+
+// ==================== AUDIT LOG ====================
+
+async function createAuditEntry(entry) {
+  const { actorId, actorEmail, action, entityType, entityId, before, after, ipAddress, userAgent } = entry;
+
+  await pool.query(
+    `INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, before, after, ip_address, user_agent, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+    [
+      actorId || null,
+      actorEmail || null,
+      action,
+      entityType,
+      entityId || null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      ipAddress || null,
+      userAgent || null
+    ]
+  );
+}
+
+// Filterable, newest first. action ending in "." matches a prefix (e.g. "event.")
+async function getAuditEntries(filters = {}) {
+  const { actorId, action, entityType, entityId, from, to, page = 1, limit = 50 } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    params.push(actorId);
+    conditions.push(`actor_id = $${params.length}`);
+  }
+  if (action) {
+    params.push(action.endsWith('.') ? `${action}%` : action);
+    conditions.push(action.endsWith('.') ? `action LIKE $${params.length}` : `action = $${params.length}`);
+  }
+  if (entityType) {
+    params.push(entityType);
+    conditions.push(`entity_type = $${params.length}`);
+  }
+  if (entityId) {
+    params.push(entityId);
+    conditions.push(`entity_id = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const { rows, total } = await paginate('audit_log', {
+    conditions,
+    params,
+    orderBy: 'created_at DESC, id DESC',
+    page,
+    limit
+  });
+
+  return { entries: rows, total };
+}
+
+// ==================== SESSIONS ====================
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, expires_at, last_used_at, revoked_at, created_at';
+
+async function createSession(session) {
+  const { id, userId, refreshTokenHash, userAgent, ipAddress, expiresAt } = session;
+
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW(), NOW())`,
+    [id, userId, refreshTokenHash, userAgent || null, ipAddress || null, expiresAt]
   );
-  const themes = toCamelCaseArray(result.rows);
-  console.log('✅ [DB] getThemes() - Retrieved', themes.length, 'themes');
+
+  return getSessionById(id);
+}
+
+async function getSessionById(id) {
+  const result = await pool.query(`SELECT ${SESSION_COLUMNS} FROM sessions WHERE id = $1`, [id]);
+  return toCamelCase(result.rows[0]);
+}
+
+// Includes the token hash - only for refresh token verification
+async function getSessionWithTokenHash(id) {
+  const result = await pool.query('SELECT * FROM sessions WHERE id = $1', [id]);
+  return toCamelCase(result.rows[0]);
+}
+
+// Session joined with its user, only if both are still valid
+async function getActiveSession(id) {
+  const result = await pool.query(
+    `SELECT s.id, s.user_id, s.expires_at, u.email, u.role, u.must_change_password, u.totp_enabled, u.totp_required
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.is_active = TRUE`,
+    [id]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+async function getActiveSessionsByUser(userId) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS} FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+// Swap the refresh token hash, but only if the session still holds the one being exchanged
+// Returns null when the session was revoked or the token already rotated (e.g. a concurrent refresh)
+async function rotateSessionToken(id, currentHash, refreshTokenHash, expiresAt) {
+  const result = await pool.query(
+    `UPDATE sessions
+     SET refresh_token_hash = $1,
+         expires_at = $2,
+         last_used_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL
+     RETURNING id`,
+    [refreshTokenHash, expiresAt, id, currentHash]
+  );
+  return result.rows[0] ? getSessionById(id) : null;
+}
+
+async function revokeSession(id) {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+// Revoke every session for a user, optionally keeping one (e.g. the current device)
+async function revokeUserSessions(userId, exceptSessionId = null) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::VARCHAR IS NULL OR id <> $2)`,
+    [userId, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+// ==================== PASSWORD RESET TOKENS ====================
+
+async function createPasswordResetToken(resetToken) {
+  const { id, userId, tokenHash, requestedIp, expiresAt } = resetToken;
+
+  // Only the newest link should work
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  await pool.query(
+    `INSERT INTO password_reset_tokens (id, user_id, token_hash, requested_ip, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [id, userId, tokenHash, requestedIp || null, expiresAt]
+  );
+}
+
+// Marks the token used and returns it, or null if unknown, expired or already used
+async function consumePasswordResetToken(tokenHash) {
+  const result = await pool.query(
+    `UPDATE password_reset_tokens
+     SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING id, user_id, expires_at`,
+    [tokenHash]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// ==================== INVITATIONS ====================
+
+const INVITATION_COLUMNS = `i.id, i.email, i.name, i.role, i.invited_by, i.expires_at, i.accepted_at,
+  i.accepted_user_id, i.revoked_at, i.created_at, i.updated_at`;
+
+const PENDING_INVITATION = 'i.accepted_at IS NULL AND i.revoked_at IS NULL';
+
+async function createInvitation(invitation) {
+  const { id, email, name, role, tokenHash, invitedBy, expiresAt } = invitation;
+
+  await pool.query(
+    `INSERT INTO invitations (id, email, name, role, token_hash, invited_by, expires_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())`,
+    [id, email.toLowerCase(), name || null, role || 'admin', tokenHash, invitedBy, expiresAt]
+  );
+
+  return getInvitationById(id);
+}
+
+async function getInvitationById(id) {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS}, u.name AS invited_by_name
+     FROM invitations i
+     LEFT JOIN users u ON u.id = i.invited_by
+     WHERE i.id = $1`,
+    [id]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Pending = not accepted and not revoked (expired ones are included so they can be resent)
+async function getPendingInvitations() {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS}, u.name AS invited_by_name, (i.expires_at <= NOW()) AS is_expired
+     FROM invitations i
+     LEFT JOIN users u ON u.id = i.invited_by
+     WHERE ${PENDING_INVITATION}
+     ORDER BY i.created_at DESC`
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+async function getPendingInvitationByEmail(email) {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS} FROM invitations i
+     WHERE i.email = $1 AND ${PENDING_INVITATION} AND i.expires_at > NOW()`,
+    [email.toLowerCase()]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Only returns invitations that can still be accepted
+async function getInvitationByTokenHash(tokenHash) {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS} FROM invitations i
+     WHERE i.token_hash = $1 AND ${PENDING_INVITATION} AND i.expires_at > NOW()`,
+    [tokenHash]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// New token and expiry for a resend - the previous link stops working
+async function renewInvitationToken(id, tokenHash, expiresAt) {
+  await pool.query(
+    `UPDATE invitations
+     SET token_hash = $1, expires_at = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [tokenHash, expiresAt, id]
+  );
+  return getInvitationById(id);
+}
+
+async function revokeInvitation(id) {
+  const result = await pool.query(
+    `UPDATE invitations i SET revoked_at = NOW(), updated_at = NOW()
+     WHERE i.id = $1 AND ${PENDING_INVITATION}`,
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+async function markInvitationAccepted(id, userId) {
+  await pool.query(
+    `UPDATE invitations
+     SET accepted_at = NOW(), accepted_user_id = $1, updated_at = NOW()
+     WHERE id = $2`,
+    [userId, id]
+  );
+}
+
+// ==================== API KEYS ====================
+
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, created_by, last_used_at, expires_at, revoked_at, created_at, updated_at';
+
+async function createApiKey(apiKey) {
+  const { id, name, prefix, keyHash, scopes, createdBy, expiresAt } = apiKey;
+
+  await pool.query(
+    `INSERT INTO api_keys (id, name, prefix, key_hash, scopes, created_by, expires_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())`,
+    [id, name, prefix, keyHash, scopes, createdBy, expiresAt || null]
+  );
+
+  return getApiKeyById(id);
+}
+
+async function getApiKeys() {
+  const result = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC`
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+async function getApiKeyById(id) {
+  const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+  return toCamelCase(result.rows[0]);
+}
+
+// Includes the key hash - only for verifying a presented key
+async function getActiveApiKeyByPrefix(prefix) {
+  const result = await pool.query(
+    `SELECT * FROM api_keys
+     WHERE prefix = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [prefix]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Last-used is only written once a minute to keep busy displays from hammering the table
+async function touchApiKey(id) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [id]
+  );
+}
+
+async function revokeApiKey(id) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+// ==================== THEME ====================
+
+const THEME_SORT_COLUMNS = { title: 'title', effectiveFrom: 'effective_from', createdAt: 'created_at' };
+
+// Options: workflowStatus (default "published"), from/to (effective_from range),
+// startedBy (leave out themes taking effect after this date), sort, page, limit
+async function getThemes(options = {}) {
+  const { from, to, startedBy, sort, page, limit } = options;
+  console.log('🔍 [DB] getThemes() - Fetching themes from database:', options);
+  const { conditions, params } = workflowConditions(options);
+
+  if (from) {
+    params.push(from);
+    conditions.push(`effective_from >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`effective_from <= $${params.length}`);
+  }
+  if (startedBy) {
+    params.push(startedBy);
+    conditions.push(`effective_from <= $${params.length}`);
+  }
+
+  const { rows: themes, total } = await paginate('theme', {
+    conditions,
+    params,
+    orderBy: orderByClause(sort, THEME_SORT_COLUMNS, 'effective_from DESC, created_at DESC, id ASC'),
+    page,
+    limit
+  });
+  console.log('✅ [DB] getThemes() - Retrieved', themes.length, 'of', total, 'themes');
   themes.forEach((theme, idx) => {
     console.log(`📊 [DB] Theme ${idx + 1}/${themes.length}:`, {
       id: theme.id,
@@ -389,12 +1576,12 @@ async function getThemes() {
       posterPathPreview: theme.posterPath?.substring(0, 50)
     });
   });
-  return themes;
+  return { themes, total };
 }
 
 async function getThemeById(id) {
   console.log('🔍 [DB] getThemeById() - Fetching theme with id:', id);
-  const result = await pool.query('SELECT * FROM theme WHERE id = $1', [id]);
+  const result = await pool.query('SELECT * FROM theme WHERE id = $1 AND deleted_at IS NULL', [id]);
   const theme = toCamelCase(result.rows[0]);
   console.log('✅ [DB] getThemeById() - Retrieved theme:', {
     id: theme?.id,
@@ -406,15 +1593,19 @@ async function getThemeById(id) {
   return theme;
 }
 
-async function getLatestTheme() {
-  console.log('🔍 [DB] getLatestTheme() - Fetching latest theme from database');
+// Published theme in effect on a date (default today at the church) - of those whose range
+// covers the date, the one that took effect last. Themes scheduled for later dates are left out.
+async function getCurrentTheme(date = churchToday()) {
   const result = await pool.query(
     `SELECT * FROM theme
-     ORDER BY created_at DESC
-     LIMIT 1`
+     WHERE workflow_status = 'published' AND deleted_at IS NULL
+       AND effective_from <= $1 AND (effective_to IS NULL OR effective_to >= $1)
+     ORDER BY effective_from DESC, created_at DESC
+     LIMIT 1`,
+    [date]
   );
   const theme = toCamelCase(result.rows[0]);
-  console.log('✅ [DB] getLatestTheme() - Retrieved latest theme:', {
+  console.log('✅ [DB] getCurrentTheme() - Retrieved current theme:', {
     id: theme?.id,
     title: theme?.title,
     posterPath: theme?.posterPath,
@@ -424,8 +1615,48 @@ async function getLatestTheme() {
   return theme;
 }
 
+// Published themes that took effect in a year, in order
+// Options: startedBy (leave out themes taking effect after this date)
+async function getThemeArchive(year, { startedBy } = {}) {
+  const params = [year];
+  let startedCondition = '';
+  if (startedBy) {
+    params.push(startedBy);
+    startedCondition = 'AND effective_from <= $2';
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM theme
+     WHERE workflow_status = 'published' AND deleted_at IS NULL
+       AND effective_from >= MAKE_DATE($1, 1, 1) AND effective_from < MAKE_DATE($1 + 1, 1, 1)
+       ${startedCondition}
+     ORDER BY effective_from ASC, created_at ASC`,
+    params
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+// Years with published themes, newest first - options as for getThemeArchive
+async function getThemeArchiveYears({ startedBy } = {}) {
+  const params = [];
+  let startedCondition = '';
+  if (startedBy) {
+    params.push(startedBy);
+    startedCondition = 'AND effective_from <= $1';
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT EXTRACT(YEAR FROM effective_from)::INTEGER AS year FROM theme
+     WHERE workflow_status = 'published' AND deleted_at IS NULL
+       ${startedCondition}
+     ORDER BY year DESC`,
+    params
+  );
+  return result.rows.map(row => row.year);
+}
+
 async function createTheme(theme) {
-  const { id, title, description, posterPath } = theme;
+  const { id, slug, title, description, posterPath, effectiveFrom, effectiveTo, scriptureReferences, confessions } = theme;
 
   console.log('➕ [DB] createTheme() - Creating theme:', {
     id,
@@ -436,9 +1667,14 @@ async function createTheme(theme) {
   });
 
   await pool.query(
-    `INSERT INTO theme (id, title, description, poster_path, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, NOW(), NOW())`,
-    [id, title, description || null, posterPath]
+    `INSERT INTO theme (id, slug, title, description, poster_path, effective_from, effective_to,
+       scripture_references, confessions, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())`,
+    [
+      id, slug, title, description || null, posterPath,
+      effectiveFrom || churchToday(), effectiveTo || null,
+      JSON.stringify(scriptureReferences || []), JSON.stringify(confessions || [])
+    ]
   );
 
   console.log('✅ [DB] createTheme() - Theme created, fetching full record');
@@ -465,28 +1701,537 @@ async function updateTheme(id, updates) {
     posterPathLength: existing.posterPath?.length
   });
 
-  const { title, description, posterPath } = updates;
+  const { slug, title, description, posterPath, effectiveFrom, effectiveTo, scriptureReferences, confessions } = updates;
 
+  // effectiveTo can be cleared with null (open-ended), so only touch it when provided
   await pool.query(
     `UPDATE theme
-     SET title = COALESCE($1, title),
+     SET slug = COALESCE($5, slug),
+         title = COALESCE($1, title),
          description = COALESCE($2, description),
          poster_path = COALESCE($3, poster_path),
+         effective_from = COALESCE($6, effective_from),
+         effective_to = CASE WHEN $7 THEN $8::DATE ELSE effective_to END,
+         scripture_references = COALESCE($9::JSONB, scripture_references),
+         confessions = COALESCE($10::JSONB, confessions),
          updated_at = NOW()
      WHERE id = $4`,
-    [title, description, posterPath, id]
+    [
+      title, description, posterPath, id, slug,
+      effectiveFrom, effectiveTo !== undefined, effectiveTo || null,
+      scriptureReferences ? JSON.stringify(scriptureReferences) : null,
+      confessions ? JSON.stringify(confessions) : null
+    ]
   );
 
   console.log('✅ [DB] updateTheme() - Theme updated, fetching updated record');
   return getThemeById(id);
 }
 
-async function deleteTheme(id) {
-  const existing = await getThemeById(id);
-  if (!existing) return false;
-  
-  await pool.query('DELETE FROM theme WHERE id = $1', [id]);
-  return true;
+// Put a revision's content back as stored (see restoreRevisionContent)
+async function restoreTheme(id, data) {
+  await restoreRevisionContent('theme', id, data);
+  return getThemeById(id);
+}
+
+// Soft delete - the theme stays in the trash until restored or purged
+async function deleteTheme(id, deletedBy) {
+  return trashContent('theme', id, deletedBy);
+}
+
+// ==================== WORKFLOW ====================
+
+// Move a content row from the status it was read in (expected) to a new workflow status
+// (lib/workflow.js), recording who did it and their comment
+// Returns false if the row doesn't exist or someone else has moved it since
+async function setWorkflowStatus(table, id, { expected, status, comment, userId }) {
+  checkContentTable(table);
+
+  const result = await pool.query(
+    `UPDATE ${table}
+     SET workflow_status = $1,
+         workflow_comment = $2,
+         workflow_updated_by = $3,
+         workflow_updated_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $4 AND workflow_status = $5`,
+    [status, comment || null, userId || null, id, expected]
+  );
+  return result.rowCount > 0;
+}
+
+// ==================== TRASH ====================
+
+const TRASH_COLUMNS = 'id, title, deleted_at, deleted_by';
+
+// Soft delete - returns false if the row doesn't exist or is already in the trash
+async function trashContent(table, id, deletedBy) {
+  checkContentTable(table);
+  const result = await pool.query(
+    `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL`,
+    [id, deletedBy || null]
+  );
+  return result.rowCount > 0;
+}
+
+// Page of trashed items across the given tables, most recently deleted first
+async function getTrash({ tables = CONTENT_TABLES, page, limit } = {}) {
+  tables.forEach(checkContentTable);
+  const selects = tables.map(table =>
+    `SELECT '${table}' AS type, ${TRASH_COLUMNS} FROM ${table} WHERE deleted_at IS NOT NULL`
+  );
+
+  const { rows, total } = await paginate(
+    `(${selects.join(' UNION ALL ')}) AS trash LEFT JOIN users u ON u.id = trash.deleted_by`,
+    {
+      columns: 'trash.*, u.name AS deleted_by_name',
+      orderBy: 'trash.deleted_at DESC, trash.id ASC',
+      page,
+      limit
+    }
+  );
+  return { items: rows, total };
+}
+
+async function getTrashedContent(table, id) {
+  checkContentTable(table);
+  const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL`, [id]);
+  return toCamelCase(result.rows[0]);
+}
+
+// Trashed rows deleted more than retentionDays ago
+async function getExpiredTrash(table, retentionDays) {
+  checkContentTable(table);
+  const result = await pool.query(
+    `SELECT * FROM ${table} WHERE deleted_at < NOW() - make_interval(days => $1)`,
+    [retentionDays]
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+async function restoreContent(table, id) {
+  checkContentTable(table);
+  const result = await pool.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND deleted_at IS NOT NULL`,
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+// Hard delete of a trashed row - revisions, occurrence overrides and old slugs go with it
+async function purgeContent(table, id) {
+  checkContentTable(table);
+  const result = await pool.query(`DELETE FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL`, [id]);
+
+  if (result.rowCount > 0 && SLUG_TABLES.includes(table)) {
+    await pool.query('DELETE FROM slug_redirects WHERE content_type = $1 AND content_id = $2', [table, id]);
+  }
+  return result.rowCount > 0;
+}
+
+// ==================== SLUGS ====================
+
+// Tables with permalink slugs (lib/slugs.js generates them)
+const SLUG_TABLES = ['announcements', 'events', 'theme'];
+
+function checkSlugTable(table) {
+  if (!SLUG_TABLES.includes(table)) {
+    throw new Error(`Unknown slug table: ${table}`);
+  }
+}
+
+// Slugs equal to base or base plus a "-<n>" suffix that are in use - live, trashed, or kept
+// as a redirect - by anything other than excludeId
+async function getTakenSlugs(table, base, excludeId = null) {
+  checkSlugTable(table);
+  const result = await pool.query(
+    `SELECT slug FROM ${table}
+     WHERE (slug = $1 OR slug ~ ('^' || $1 || '-[0-9]+$')) AND id IS DISTINCT FROM $2
+     UNION
+     SELECT slug FROM slug_redirects
+     WHERE content_type = $3 AND (slug = $1 OR slug ~ ('^' || $1 || '-[0-9]+$')) AND content_id IS DISTINCT FROM $2`,
+    [base, excludeId, table]
+  );
+  return result.rows.map(row => row.slug);
+}
+
+async function getContentBySlug(table, slug) {
+  checkSlugTable(table);
+  const result = await pool.query(`SELECT * FROM ${table} WHERE slug = $1 AND deleted_at IS NULL`, [slug]);
+  return toCamelCase(result.rows[0]);
+}
+
+// Item a previous slug now points to
+async function getContentBySlugRedirect(table, slug) {
+  checkSlugTable(table);
+  const result = await pool.query(
+    `SELECT c.* FROM slug_redirects r
+     JOIN ${table} c ON c.id = r.content_id
+     WHERE r.content_type = $1 AND r.slug = $2 AND c.deleted_at IS NULL`,
+    [table, slug]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+async function saveSlugRedirect(table, slug, contentId) {
+  checkSlugTable(table);
+  await pool.query(
+    `INSERT INTO slug_redirects (content_type, slug, content_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (content_type, slug) DO UPDATE SET content_id = EXCLUDED.content_id, created_at = NOW()`,
+    [table, slug, contentId]
+  );
+}
+
+async function deleteSlugRedirect(table, slug) {
+  checkSlugTable(table);
+  await pool.query('DELETE FROM slug_redirects WHERE content_type = $1 AND slug = $2', [table, slug]);
+}
+
+// ==================== REVISIONS ====================
+
+// One revisions table per content type (lib/revisions.js decides what goes in them)
+const REVISION_TABLES = {
+  announcement: 'announcement_revisions',
+  event: 'event_revisions',
+  service: 'service_revisions',
+  theme: 'theme_revisions'
+};
+
+function revisionTable(type) {
+  const table = REVISION_TABLES[type];
+  if (!table) {
+    throw new Error(`Unknown revision type: ${type}`);
+  }
+  return table;
+}
+
+// Page of revisions for one item, newest first, with the author's name
+async function getRevisions(type, contentId, { page, limit } = {}) {
+  const { rows, total } = await paginate(`${revisionTable(type)} r LEFT JOIN users u ON u.id = r.created_by`, {
+    columns: 'r.*, u.name AS created_by_name',
+    conditions: ['r.content_id = $1'],
+    params: [contentId],
+    orderBy: 'r.revision DESC',
+    page,
+    limit
+  });
+  return { revisions: rows, total };
+}
+
+async function getRevision(type, contentId, revision) {
+  const result = await pool.query(
+    `SELECT r.*, u.name AS created_by_name
+     FROM ${revisionTable(type)} r
+     LEFT JOIN users u ON u.id = r.created_by
+     WHERE r.content_id = $1 AND r.revision = $2`,
+    [contentId, revision]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+async function getLatestRevision(type, contentId) {
+  const result = await pool.query(
+    `SELECT * FROM ${revisionTable(type)} WHERE content_id = $1 ORDER BY revision DESC LIMIT 1`,
+    [contentId]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Content columns a revision restores, by revision field (see REVISION_FIELDS in lib/revisions.js)
+const REVISION_COLUMNS = {
+  announcement: {
+    table: 'announcements',
+    columns: {
+      title: 'title', date: 'date', description: 'description', icon: 'icon', badge: 'badge',
+      badgeVariant: 'badge_variant', isActive: 'is_active', publishAt: 'publish_at', expiresAt: 'expires_at',
+      isPinned: 'is_pinned', pinnedUntil: 'pinned_until', priority: 'priority', audiences: 'audiences'
+    }
+  },
+  event: {
+    table: 'events',
+    columns: {
+      title: 'title', date: 'date', time: 'time', description: 'description', imageUrl: 'image_url',
+      isActive: 'is_active', recurrence: 'recurrence', registration: 'registration'
+    },
+    json: ['recurrence', 'registration']
+  },
+  service: {
+    table: 'services',
+    columns: {
+      title: 'title', subtitle: 'subtitle', description: 'description', imageUrl: 'image_url',
+      order: '"order"', schedule: 'schedule'
+    },
+    json: ['schedule']
+  },
+  theme: {
+    table: 'theme',
+    columns: {
+      title: 'title', description: 'description', posterPath: 'poster_path', effectiveFrom: 'effective_from',
+      effectiveTo: 'effective_to', scriptureReferences: 'scripture_references', confessions: 'confessions'
+    },
+    json: ['scriptureReferences', 'confessions']
+  }
+};
+
+// Write revision content back exactly as stored - unlike the update functions, a null clears
+// the column. Fields the revision doesn't have (added to the type after it was saved) are left alone.
+async function restoreRevisionContent(type, id, data) {
+  const { table, columns, json = [] } = REVISION_COLUMNS[type];
+  const fields = Object.keys(columns).filter(field => data[field] !== undefined);
+  const params = [id];
+
+  const assignments = fields.map(field => {
+    const value = data[field];
+    params.push(json.includes(field) && value !== null ? JSON.stringify(value) : value);
+    return `${columns[field]} = $${params.length}${json.includes(field) ? '::JSONB' : ''}`;
+  });
+
+  await pool.query(
+    `UPDATE ${table} SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+     WHERE id = $1 AND deleted_at IS NULL`,
+    params
+  );
+}
+
+// Next revision number is one more than the item's latest
+// Announcements have no image, so their table has no image_url column
+async function createRevision(type, revision) {
+  const { contentId, data, changes, imageUrl, restoredFrom, createdBy } = revision;
+  const table = revisionTable(type);
+  const hasImage = type !== 'announcement';
+
+  const result = await pool.query(
+    `INSERT INTO ${table} (content_id, revision, data, changes, restored_from, created_by${hasImage ? ', image_url' : ''}, created_at)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2::JSONB, $3::JSONB, $4::INTEGER, $5${hasImage ? ', $6' : ''}, NOW()
+     FROM ${table} WHERE content_id = $1
+     RETURNING *`,
+    [
+      contentId, JSON.stringify(data), changes ? JSON.stringify(changes) : null,
+      restoredFrom || null, createdBy || null,
+      ...(hasImage ? [imageUrl || null] : [])
+    ]
+  );
+  return toCamelCase(result.rows[0]);
+}
+
+// Every image any revision of an item points at
+async function getRevisionImageUrls(type, contentId) {
+  if (type === 'announcement') return [];
+
+  const result = await pool.query(
+    `SELECT DISTINCT image_url FROM ${revisionTable(type)} WHERE content_id = $1 AND image_url IS NOT NULL`,
+    [contentId]
+  );
+  return result.rows.map(row => row.image_url);
+}
+
+// Whether any content, occurrence override or revision still uses an uploaded image
+async function isImageReferenced(imageUrl) {
+  const result = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM events WHERE image_url = $1
+       UNION ALL SELECT 1 FROM event_occurrence_overrides WHERE image_url = $1
+       UNION ALL SELECT 1 FROM services WHERE image_url = $1
+       UNION ALL SELECT 1 FROM theme WHERE poster_path = $1
+       UNION ALL SELECT 1 FROM event_revisions WHERE image_url = $1
+       UNION ALL SELECT 1 FROM service_revisions WHERE image_url = $1
+       UNION ALL SELECT 1 FROM theme_revisions WHERE image_url = $1
+     ) AS referenced`,
+    [imageUrl]
+  );
+  return result.rows[0].referenced;
+}
+
+// ==================== TRANSLATIONS ====================
+
+// One translations table per content type, next to the content table it translates
+// (lib/translations.js decides which fields can be translated)
+const TRANSLATION_SOURCES = {
+  announcement: { table: 'announcements', translationTable: 'announcement_translations' },
+  event: { table: 'events', translationTable: 'event_translations' },
+  service: { table: 'services', translationTable: 'service_translations' },
+  theme: { table: 'theme', translationTable: 'theme_translations' }
+};
+
+function translationSource(type) {
+  const source = TRANSLATION_SOURCES[type];
+  if (!source) {
+    throw new Error(`Unknown translation type: ${type}`);
+  }
+  return source;
+}
+
+// Translations of a set of items in one locale
+async function getTranslations(type, contentIds, locale) {
+  if (contentIds.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT content_id, field, value FROM ${translationSource(type).translationTable}
+     WHERE content_id = ANY($1) AND locale = $2`,
+    [contentIds, locale]
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+// Every translation of one item, all locales
+async function getItemTranslations(type, contentId) {
+  const result = await pool.query(
+    `SELECT t.locale, t.field, t.value, t.updated_by, u.name AS updated_by_name, t.updated_at
+     FROM ${translationSource(type).translationTable} t
+     LEFT JOIN users u ON u.id = t.updated_by
+     WHERE t.content_id = $1
+     ORDER BY t.locale ASC, t.field ASC`,
+    [contentId]
+  );
+  return toCamelCaseArray(result.rows);
+}
+
+// Save translated fields for one locale - a null value removes that field's translation
+async function saveTranslations(type, contentId, locale, fields, updatedBy) {
+  const { translationTable } = translationSource(type);
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) {
+      await pool.query(
+        `DELETE FROM ${translationTable} WHERE content_id = $1 AND locale = $2 AND field = $3`,
+        [contentId, locale, field]
+      );
+      continue;
+    }
+
+    await pool.query(
+      `INSERT INTO ${translationTable} (content_id, locale, field, value, updated_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       ON CONFLICT (content_id, locale, field)
+       DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [contentId, locale, field, value, updatedBy || null]
+    );
+  }
+}
+
+async function deleteTranslations(type, contentId, locale) {
+  const result = await pool.query(
+    `DELETE FROM ${translationSource(type).translationTable} WHERE content_id = $1 AND locale = $2`,
+    [contentId, locale]
+  );
+  return result.rowCount;
+}
+
+// Page of items (trash excluded) with untranslated fields in any of the given locales,
+// one row per item and locale with the missingFields. Fields left empty on the item itself
+// don't need translating.
+async function getMissingTranslations(type, { fields, locales, page, limit }) {
+  const { table, translationTable } = translationSource(type);
+
+  const missing = fields.map(field => `CASE WHEN COALESCE(c.${field}, '') <> '' AND NOT EXISTS (
+      SELECT 1 FROM ${translationTable} t
+      WHERE t.content_id = c.id AND t.locale = l.locale AND t.field = '${field}'
+    ) THEN '${field}' END`);
+
+  const { rows, total } = await paginate(
+    `(SELECT c.id, c.title, c.workflow_status, l.locale,
+        ARRAY_REMOVE(ARRAY[${missing.join(', ')}], NULL) AS missing_fields
+      FROM ${table} c CROSS JOIN UNNEST($1::TEXT[]) AS l(locale)
+      WHERE c.deleted_at IS NULL) AS items`,
+    {
+      conditions: ['CARDINALITY(missing_fields) > 0'],
+      params: [locales],
+      orderBy: 'title ASC, id ASC, locale ASC',
+      page,
+      limit
+    }
+  );
+  return { items: rows, total };
+}
+
+// ==================== SEARCH ====================
+
+// Full-text search sources. Each vector expression must match the GIN index in
+// migration 020_alter_content_add_search_indexes.sql so Postgres can use it
+const SEARCH_SOURCES = {
+  announcement: {
+    table: 'announcements',
+    vector: `setweight(to_tsvector('english', title), 'A') ||
+      setweight(to_tsvector('english', description), 'B')`,
+    snippet: 'description',
+    date: 'date',
+    slug: 'slug',
+    publicFilter: `workflow_status = 'published' AND is_active = TRUE AND ${ANNOUNCEMENT_STATUS_CONDITIONS.live}`
+  },
+  event: {
+    table: 'events',
+    vector: `setweight(to_tsvector('english', title), 'A') ||
+      setweight(to_tsvector('english', description), 'B')`,
+    snippet: 'description',
+    date: 'date',
+    slug: 'slug',
+    publicFilter: `workflow_status = 'published' AND is_active = TRUE`
+  },
+  service: {
+    table: 'services',
+    vector: `setweight(to_tsvector('english', title), 'A') ||
+      setweight(to_tsvector('english', subtitle), 'B') ||
+      setweight(to_tsvector('english', description), 'C')`,
+    snippet: 'description',
+    date: 'NULL::DATE',
+    slug: 'NULL::VARCHAR',
+    publicFilter: `workflow_status = 'published'`
+  },
+  theme: {
+    table: 'theme',
+    vector: `setweight(to_tsvector('english', title), 'A') ||
+      setweight(to_tsvector('english', COALESCE(description, '')), 'B')`,
+    snippet: 'COALESCE(description, title)',
+    date: 'NULL::DATE',
+    slug: 'slug',
+    // Scheduled themes stay hidden until they take effect at the church
+    publicFilter: `workflow_status = 'published' AND effective_from <= (NOW() AT TIME ZONE '${SCHEDULE_TIMEZONE}')::DATE`
+  }
+};
+
+// ts_headline wraps matches in these control characters; they're swapped for <mark>
+// after the snippet is HTML-escaped so content can't inject markup
+const SNIPPET_MARK_START = '\u0002';
+const SNIPPET_MARK_END = '\u0003';
+const SNIPPET_OPTIONS = `StartSel="${SNIPPET_MARK_START}", StopSel="${SNIPPET_MARK_END}", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+function highlightSnippet(snippet) {
+  if (!snippet) return snippet;
+  return escapeHtml(snippet)
+    .split(SNIPPET_MARK_START).join('<mark>')
+    .split(SNIPPET_MARK_END).join('</mark>');
+}
+
+// Ranked search across content types
+// Options: q, types (defaults to all), includeInactiveTypes (types whose hidden rows are visible), page, limit
+// Hidden means unpublished or inactive, and for announcements also scheduled or expired
+async function searchContent({ q, types = Object.keys(SEARCH_SOURCES), includeInactiveTypes = [], page, limit }) {
+  const selects = types.map(type => {
+    const source = SEARCH_SOURCES[type];
+    const activeFilter = !includeInactiveTypes.includes(type)
+      ? `AND ${source.publicFilter}`
+      : '';
+
+    return `SELECT '${type}' AS type, id, ${source.slug} AS slug, title, ${source.date} AS date,
+        ts_rank(${source.vector}, query) AS rank,
+        ts_headline('english', ${source.snippet}, query, $2) AS snippet
+      FROM ${source.table}, websearch_to_tsquery('english', $1) query
+      WHERE (${source.vector}) @@ query AND deleted_at IS NULL ${activeFilter}`;
+  });
+
+  const { rows, total } = await paginate(`(${selects.join(' UNION ALL ')}) AS results`, {
+    params: [q, SNIPPET_OPTIONS],
+    orderBy: 'rank DESC, date DESC NULLS LAST, id ASC',
+    page,
+    limit
+  });
+
+  return {
+    results: rows.map(row => ({ ...row, snippet: highlightSnippet(row.snippet) })),
+    total
+  };
 }
 
 module.exports = {
@@ -495,20 +2240,50 @@ module.exports = {
   getAnnouncementById,
   createAnnouncement,
   updateAnnouncement,
+  restoreAnnouncement,
   deleteAnnouncement,
   // Events
   getEvents,
+  getEventOccurrences,
   getEventById,
   getUpcomingEvents,
+  getCalendarEvents,
   createEvent,
   updateEvent,
+  restoreEvent,
   deleteEvent,
+  // Event occurrence overrides
+  getEventOccurrenceOverrides,
+  getEventOccurrenceOverride,
+  saveEventOccurrenceOverride,
+  deleteEventOccurrenceOverride,
+  // Event registrations
+  createRegistration,
+  promoteWaitlist,
+  getRegistrations,
+  getAllRegistrations,
+  getRegistrationWithTokenHash,
+  getRegistrationCounts,
+  countRecentRegistrationsByIp,
+  cancelRegistration,
+  // Event tickets
+  createTicket,
+  issueMissingRegistrationTickets,
+  getTicketById,
+  getRegistrationTicket,
+  getTickets,
+  checkInTicket,
+  revokeTicket,
+  revokeRegistrationTicket,
+  getAttendanceCounts,
   // Services
   getServices,
   getServiceById,
   createService,
   updateService,
+  restoreService,
   deleteService,
+  getScheduledServices,
   // Users
   getUsers,
   getUserById,
@@ -518,11 +2293,90 @@ module.exports = {
   updateUserPassword,
   updateLastLogin,
   deleteUser,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockUser,
+  // Two-factor
+  getUserTwoFactor,
+  setPendingTotpSecret,
+  enableTotp,
+  disableTotp,
+  claimTotpStep,
+  setTotpRequired,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+  // Login attempts
+  recordLoginAttempt,
+  countRecentFailedLoginsByIp,
+  // Audit log
+  createAuditEntry,
+  getAuditEntries,
+  // Sessions
+  createSession,
+  getSessionById,
+  getSessionWithTokenHash,
+  getActiveSession,
+  getActiveSessionsByUser,
+  rotateSessionToken,
+  revokeSession,
+  revokeUserSessions,
+  // Password reset tokens
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  // Invitations
+  createInvitation,
+  getInvitationById,
+  getPendingInvitations,
+  getPendingInvitationByEmail,
+  getInvitationByTokenHash,
+  renewInvitationToken,
+  revokeInvitation,
+  markInvitationAccepted,
+  // API keys
+  createApiKey,
+  getApiKeys,
+  getApiKeyById,
+  getActiveApiKeyByPrefix,
+  touchApiKey,
+  revokeApiKey,
   // Theme
   getThemes,
   getThemeById,
-  getLatestTheme,
+  getCurrentTheme,
+  getThemeArchive,
+  getThemeArchiveYears,
   createTheme,
   updateTheme,
-  deleteTheme
+  restoreTheme,
+  deleteTheme,
+  // Workflow
+  setWorkflowStatus,
+  // Trash
+  getTrash,
+  getTrashedContent,
+  getExpiredTrash,
+  restoreContent,
+  purgeContent,
+  // Slugs
+  getTakenSlugs,
+  getContentBySlug,
+  getContentBySlugRedirect,
+  saveSlugRedirect,
+  deleteSlugRedirect,
+  // Revisions
+  getRevisions,
+  getRevision,
+  getLatestRevision,
+  createRevision,
+  getRevisionImageUrls,
+  isImageReferenced,
+  // Translations
+  getTranslations,
+  getItemTranslations,
+  saveTranslations,
+  deleteTranslations,
+  getMissingTranslations,
+  // Search
+  searchContent
 };
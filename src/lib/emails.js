@@ -0,0 +1,125 @@
+// Email templates - each returns { subject, text, html }
+const { siteLink } = require('./feeds');
+const { escapeHtml } = require('./html');
+
+const ADMIN_URL = process.env.ADMIN_URL || 'http://localhost:3001';
+
+function adminLink(pathname, token) {
+  return `${ADMIN_URL.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Public website page where a registrant can cancel (it calls the cancel endpoint)
+function registrationCancelLink({ eventSlug, registrationId, token }) {
+  const params = new URLSearchParams({ registration: registrationId, token });
+  return siteLink(`/events/${eventSlug}/cancel-registration?${params}`);
+}
+
+// Public website page showing a ticket's QR code (it loads the QR image from the API)
+function ticketLink({ eventSlug, code }) {
+  return siteLink(`/events/${eventSlug}/ticket?${new URLSearchParams({ code })}`);
+}
+
+function passwordResetEmail({ name, token, expiresInMinutes }) {
+  const link = adminLink('/reset-password', token);
+  const greeting = name ? `Hello ${name},` : 'Hello,';
+
+  return {
+    subject: "Reset your Winners' Chapel admin password",
+    text: [
+      greeting,
+      '',
+      'We received a request to reset your password for the Winners\' Chapel admin portal.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      'If you did not request this, you can safely ignore this email.'
+    ].join('\n'),
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>We received a request to reset your password for the Winners' Chapel admin portal.</p>
+<p><a href="${escapeHtml(link)}">Choose a new password</a> (link expires in ${expiresInMinutes} minutes).</p>
+<p>If you did not request this, you can safely ignore this email.</p>`
+  };
+}
+
+function invitationEmail({ name, inviterName, role, token, expiresInDays }) {
+  const link = adminLink('/accept-invite', token);
+  const greeting = name ? `Hello ${name},` : 'Hello,';
+  const inviter = inviterName || 'An administrator';
+  const roleLabel = role.replace('_', ' ');
+
+  return {
+    subject: "You're invited to the Winners' Chapel admin portal",
+    text: [
+      greeting,
+      '',
+      `${inviter} has invited you to join the Winners' Chapel admin portal as ${roleLabel}.`,
+      `Use the link below within ${expiresInDays} days to set your password and activate your account:`,
+      '',
+      link
+    ].join('\n'),
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(inviter)} has invited you to join the Winners' Chapel admin portal as ${escapeHtml(roleLabel)}.</p>
+<p><a href="${escapeHtml(link)}">Accept invitation</a> (link expires in ${expiresInDays} days).</p>`
+  };
+}
+
+// Sent on sign-up - confirmed with a ticket, or waitlisted until a place opens up
+function registrationEmail({ name, eventTitle, when, seats, status, cancelLink, ticketLink: ticket }) {
+  const places = seats === 1 ? '1 place' : `${seats} places`;
+  const waitlisted = status === 'waitlisted';
+  const summary = waitlisted
+    ? `${eventTitle} is full, so you're on the waitlist for ${places}. We'll email you if a place opens up.`
+    : `You're registered for ${eventTitle} (${places}).`;
+
+  return {
+    subject: waitlisted ? `You're on the waitlist for ${eventTitle}` : `You're registered for ${eventTitle}`,
+    text: [
+      `Hello ${name},`,
+      '',
+      summary,
+      when,
+      '',
+      ...(ticket ? ['Show your ticket at the door:', ticket, ''] : []),
+      "Can't make it? Cancel here so someone else can have your place:",
+      cancelLink
+    ].join('\n'),
+    html: `<p>Hello ${escapeHtml(name)},</p>
+<p>${escapeHtml(summary)}<br>${escapeHtml(when)}</p>
+${ticket ? `<p><a href="${escapeHtml(ticket)}">Show your ticket</a> at the door.</p>\n` : ''}<p>Can't make it? <a href="${escapeHtml(cancelLink)}">Cancel your registration</a> so someone else can have your place.</p>`
+  };
+}
+
+// Sent when someone moves off the waitlist - the cancel link from the first email still works
+function waitlistPromotionEmail({ name, eventTitle, when, seats, ticketLink: ticket }) {
+  const places = seats === 1 ? 'A place has' : 'Places have';
+
+  return {
+    subject: `You're registered for ${eventTitle}`,
+    text: [
+      `Hello ${name},`,
+      '',
+      `${places} opened up - you're now registered for ${eventTitle}.`,
+      when,
+      '',
+      'Show your ticket at the door:',
+      ticket,
+      '',
+      "Can't make it after all? Use the cancel link in your registration email."
+    ].join('\n'),
+    html: `<p>Hello ${escapeHtml(name)},</p>
+<p>${places} opened up - you're now registered for ${escapeHtml(eventTitle)}.<br>${escapeHtml(when)}</p>
+<p><a href="${escapeHtml(ticket)}">Show your ticket</a> at the door.</p>
+<p>Can't make it after all? Use the cancel link in your registration email.</p>`
+  };
+}
+
+module.exports = {
+  adminLink,
+  registrationCancelLink,
+  ticketLink,
+  passwordResetEmail,
+  invitationEmail,
+  registrationEmail,
+  waitlistPromotionEmail
+};
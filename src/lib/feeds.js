@@ -0,0 +1,152 @@
+const path = require('path');
+
+// RSS 2.0 and Atom 1.0 feeds for announcements and events
+// Links point at the public website; images and feed self-links at this API
+const SITE_URL = process.env.SITE_URL || 'http://localhost:3000';
+const API_URL = process.env.API_URL;
+const FEED_AUTHOR = "Winners' Chapel";
+
+// Items per feed
+const FEED_SIZE = 20;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function trimSlash(url) {
+  return url.replace(/\/$/, '');
+}
+
+// Base URL of this API - API_URL if set, otherwise the host the request came in on
+function apiBaseUrl(req) {
+  return trimSlash(API_URL || `${req.protocol}://${req.get('host')}`);
+}
+
+function siteLink(pathname) {
+  return `${trimSlash(SITE_URL)}${pathname}`;
+}
+
+// Uploaded images are stored as "/uploads/..." paths served by the API
+function absoluteUrl(req, url) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${apiBaseUrl(req)}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+function imageType(url) {
+  return IMAGE_TYPES[path.extname(url.split('?')[0]).toLowerCase()] || 'image/jpeg';
+}
+
+// Atom ids must be IRIs - a tag: URI keeps them stable even if the site moves paths
+function entryId(id) {
+  return `tag:${new URL(SITE_URL).hostname},2024:${id}`;
+}
+
+function latestUpdate(items) {
+  const times = items.map(item => new Date(item.updated).getTime()).filter(Boolean);
+  return new Date(times.length > 0 ? Math.max(...times) : Date.now());
+}
+
+// feed: { title, description, link, selfUrl, items }
+// item: { id, title, link, summary, published, updated, imageUrl (absolute) }
+function buildRss(feed) {
+  const items = feed.items.map(item => {
+    const lines = [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <description>${escapeXml(item.summary)}</description>`,
+      `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`
+    ];
+    if (item.imageUrl) {
+      // Length is unknown up front - 0 is the accepted value for that
+      lines.push(`      <enclosure url="${escapeXml(item.imageUrl)}" length="0" type="${imageType(item.imageUrl)}"/>`);
+      lines.push(`      <media:content url="${escapeXml(item.imageUrl)}" medium="image"/>`);
+    }
+    lines.push('    </item>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${latestUpdate(feed.items).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function buildAtom(feed) {
+  const entries = feed.items.map(item => {
+    const lines = [
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <id>${escapeXml(entryId(item.id))}</id>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+      `    <published>${new Date(item.published).toISOString()}</published>`,
+      `    <updated>${new Date(item.updated).toISOString()}</updated>`,
+      `    <summary>${escapeXml(item.summary)}</summary>`
+    ];
+    if (item.imageUrl) {
+      lines.push(`    <link rel="enclosure" type="${imageType(item.imageUrl)}" href="${escapeXml(item.imageUrl)}"/>`);
+    }
+    lines.push('  </entry>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <updated>${latestUpdate(feed.items).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(FEED_AUTHOR)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+// Send a feed in the requested format ('rss' or 'atom')
+function sendFeed(res, format, feed) {
+  if (format === 'atom') {
+    res.type('application/atom+xml; charset=utf-8').send(buildAtom(feed));
+  } else {
+    res.type('application/rss+xml; charset=utf-8').send(buildRss(feed));
+  }
+}
+
+module.exports = {
+  FEED_SIZE,
+  apiBaseUrl,
+  siteLink,
+  absoluteUrl,
+  buildRss,
+  buildAtom,
+  sendFeed
+};
@@ -0,0 +1,273 @@
+const { toDateString } = require('./recurrence');
+
+// iCalendar (RFC 5545) output for events - subscribable feed and single-event downloads
+// Event times are local to the church, which is in Liberia (Africa/Monrovia, GMT all year)
+const CALENDAR_TIMEZONE = 'Africa/Monrovia';
+const CALENDAR_NAME = process.env.CALENDAR_NAME || "Winners' Chapel Events";
+const CALENDAR_UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'winnerschapel.org';
+const PRODUCT_ID = "-//Winners' Chapel//Events API//EN";
+
+// Used when an event's time has a start but no end
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Monrovia has been on GMT with no daylight saving since 1972
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${CALENDAR_TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19720107T000000',
+  'TZOFFSETFROM:-004430',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Text values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  const limit = () => (parts.length === 0 ? 75 : 74);
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit()) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// UTC timestamp, e.g. 20240115T103000Z
+function formatUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function compactDate(dateString) {
+  return dateString.replace(/-/g, '');
+}
+
+// Parse "9:00 AM", "6pm" or "18:30" into minutes after midnight
+function parseClock(text, fallbackMeridiem) {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  const meridiem = (match[3] || fallbackMeridiem || '').toLowerCase().replace(/\./g, '');
+
+  if (minutes > 59 || hours > 23) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+
+  return { minutes: hours * 60 + minutes, meridiem: match[3] ? meridiem : null };
+}
+
+// Free-text event time ("9:00 AM - 11:00 AM") to start/end minutes, or null for all-day
+function parseTimeRange(time) {
+  if (!time) return null;
+
+  const [startText, endText] = String(time).split(/\s*(?:-|–|—|to)\s*/i);
+
+  // "9 - 11 AM": the start borrows the end's AM/PM
+  const endMeridiem = endText && endText.match(/(am|pm|a\.m\.|p\.m\.)\s*$/i)?.[1];
+  const start = parseClock(startText, endMeridiem);
+  if (!start) return null;
+
+  const end = endText ? parseClock(endText, start.meridiem) : null;
+  let endMinutes = end ? end.minutes : start.minutes + DEFAULT_DURATION_MINUTES;
+  if (endMinutes <= start.minutes) {
+    endMinutes += 24 * 60; // Runs past midnight
+  }
+
+  return { start: start.minutes, end: endMinutes };
+}
+
+// Local date-time value for a date plus minutes after midnight (may roll into the next day)
+function localDateTime(dateString, minutes) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+function nextDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+// DTSTART/DTEND lines for an occurrence, timed or all-day
+function timeLines(dateString, time) {
+  const range = parseTimeRange(time);
+
+  if (!range) {
+    return [
+      `DTSTART;VALUE=DATE:${compactDate(dateString)}`,
+      `DTEND;VALUE=DATE:${compactDate(nextDay(dateString))}`
+    ];
+  }
+
+  return [
+    `DTSTART;TZID=${CALENDAR_TIMEZONE}:${localDateTime(dateString, range.start)}`,
+    `DTEND;TZID=${CALENDAR_TIMEZONE}:${localDateTime(dateString, range.end)}`
+  ];
+}
+
+// Property identifying one occurrence in the same value type as the series DTSTART
+function occurrenceValue(dateString, seriesTime) {
+  const range = parseTimeRange(seriesTime);
+  return range
+    ? `;TZID=${CALENDAR_TIMEZONE}:${localDateTime(dateString, range.start)}`
+    : `;VALUE=DATE:${compactDate(dateString)}`;
+}
+
+// Recurrence rule (lib/recurrence.js) as an RRULE value
+function toRrule(rule, seriesTime) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+
+  if (rule.frequency === 'weekly' && rule.byWeekday) {
+    parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  }
+  if (rule.frequency === 'weekly') {
+    // Weeks start on Sunday in expandOccurrences - RFC 5545 defaults to Monday, which moves
+    // the days of a multi-day rule with an interval into other weeks
+    parts.push('WKST=SU');
+  }
+  if (rule.frequency === 'monthly' && rule.weekOfMonth) {
+    parts.push(`BYDAY=${rule.byWeekday.map(weekday => `${rule.weekOfMonth}${weekday}`).join(',')}`);
+  }
+
+  if (rule.until) {
+    // UNTIL must match DTSTART: a date for all-day events, otherwise the end of that day in UTC
+    parts.push(parseTimeRange(seriesTime)
+      ? `UNTIL=${compactDate(rule.until)}T235959Z`
+      : `UNTIL=${compactDate(rule.until)}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  return parts.join(';');
+}
+
+function eventUid(event) {
+  return `${event.id}@${CALENDAR_UID_DOMAIN}`;
+}
+
+// Shared properties for an event or one of its overridden occurrences
+function eventLines(event, dateString, fields) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event)}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || event.createdAt || Date.now())}`,
+    ...timeLines(dateString, fields.time),
+    `SUMMARY:${escapeText(fields.title)}`
+  ];
+
+  if (fields.description) {
+    lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+    // Bumped on every edit so calendar apps pick up changes
+    lines.push(`SEQUENCE:${Math.floor(new Date(event.updatedAt).getTime() / 1000)}`);
+  }
+
+  return lines;
+}
+
+// VEVENT components for one event: the event (or series) plus any edited occurrences
+// Inactive events and cancelled occurrences are kept with STATUS:CANCELLED / EXDATE so
+// subscribed calendars remove them instead of keeping a stale copy
+function eventComponents(event, overrides = []) {
+  const dateString = toDateString(event.date);
+  const lines = eventLines(event, dateString, event);
+
+  lines.push(`STATUS:${event.isActive === false ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  const edited = [];
+
+  if (event.recurrence) {
+    lines.push(`RRULE:${toRrule(event.recurrence, event.time)}`);
+
+    const cancelledDates = [
+      ...(event.recurrence.exceptDates || []),
+      ...overrides.filter(override => override.isCancelled).map(override => override.occurrenceDate)
+    ];
+    for (const cancelledDate of [...new Set(cancelledDates)].sort()) {
+      lines.push(`EXDATE${occurrenceValue(cancelledDate, event.time)}`);
+    }
+
+    for (const override of overrides.filter(override => !override.isCancelled)) {
+      const occurrence = {
+        title: override.title ?? event.title,
+        time: override.time ?? event.time,
+        description: override.description ?? event.description
+      };
+      edited.push(
+        ...eventLines({ ...event, updatedAt: override.updatedAt || event.updatedAt }, override.occurrenceDate, occurrence),
+        `RECURRENCE-ID${occurrenceValue(override.occurrenceDate, event.time)}`,
+        `STATUS:${event.isActive === false ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      );
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return [...lines, ...edited];
+}
+
+// Full VCALENDAR document; overridesByEvent maps event id -> occurrence overrides
+function buildCalendar(events, overridesByEvent = new Map(), { name = CALENDAR_NAME } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+    ...VTIMEZONE
+  ];
+
+  for (const event of events) {
+    lines.push(...eventComponents(event, overridesByEvent.get(event.id) || []));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CALENDAR_TIMEZONE,
+  parseTimeRange,
+  buildCalendar
+};
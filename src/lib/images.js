@@ -0,0 +1,37 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('./db');
+
+// Uploaded images can be shared by live content, occurrence overrides and revisions,
+// so a file is only deleted once nothing references it any more
+// Never throws - image cleanup failure shouldn't break the request
+async function releaseImage(imageUrl) {
+  if (!imageUrl || !imageUrl.startsWith('/uploads/')) {
+    return;
+  }
+
+  try {
+    if (await db.isImageReferenced(imageUrl)) {
+      return;
+    }
+
+    const filePath = path.join(__dirname, '..', '..', 'public', imageUrl);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`Deleted unused image: ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`Error deleting image file ${imageUrl}:`, error);
+  }
+}
+
+async function releaseImages(imageUrls) {
+  for (const imageUrl of new Set(imageUrls)) {
+    await releaseImage(imageUrl);
+  }
+}
+
+module.exports = {
+  releaseImage,
+  releaseImages
+};
@@ -0,0 +1,20 @@
+// Locales content is available in (see lib/translations.js)
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+
+// Default locale first - it's what callers get when they express no preference
+const SUPPORTED_LOCALES = [
+  DEFAULT_LOCALE,
+  ...(process.env.SUPPORTED_LOCALES || 'en,fr')
+    .split(',')
+    .map(locale => locale.trim().toLowerCase())
+    .filter(locale => locale && locale !== DEFAULT_LOCALE)
+];
+
+// Locales translations are written in
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.slice(1);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES
+};
@@ -0,0 +1,105 @@
+const db = require('./db');
+const { recordAudit } = require('./audit');
+
+// Brute-force protection for /api/auth/login
+// - Per account: progressive delay after a few failures, then a temporary lockout
+// - Per IP: too many failures in a window blocks further attempts from that IP
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const LOGIN_DELAY_AFTER = 2;
+const LOGIN_MAX_DELAY_SECONDS = 30;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '30');
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15');
+
+// Seconds the account must wait after its last failure: 1s, 2s, 4s... capped
+function requiredDelaySeconds(failedCount) {
+  if (failedCount < LOGIN_DELAY_AFTER) return 0;
+  return Math.min(2 ** (failedCount - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+// Per-IP limit, also used for other public endpoints: count is what the IP did in the window
+// Returns null while under max, otherwise { status, error, retryAfter }
+function checkIpLimit(count, { max, windowMinutes, error }) {
+  if (count < max) return null;
+  return { status: 429, error, retryAfter: windowMinutes * 60 };
+}
+
+// Returns null if the attempt may proceed, otherwise { status, error, retryAfter }
+async function checkLoginAllowed(user, ipAddress) {
+  const ipBlocked = checkIpLimit(await db.countRecentFailedLoginsByIp(ipAddress, LOGIN_IP_WINDOW_MINUTES), {
+    max: LOGIN_IP_MAX_ATTEMPTS,
+    windowMinutes: LOGIN_IP_WINDOW_MINUTES,
+    error: 'Too many failed login attempts. Please try again later.'
+  });
+
+  if (ipBlocked) return ipBlocked;
+
+  if (!user) return null;
+
+  if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+    return {
+      status: 423,
+      error: 'This account is temporarily locked after too many failed login attempts. Please try again later or contact an administrator.',
+      retryAfter: secondsUntil(user.lockedUntil)
+    };
+  }
+
+  const delay = requiredDelaySeconds(user.failedLoginCount);
+
+  if (delay > 0 && user.lastFailedLoginAt) {
+    const allowedAt = new Date(new Date(user.lastFailedLoginAt).getTime() + delay * 1000);
+
+    if (allowedAt > new Date()) {
+      return {
+        status: 429,
+        error: 'Too many failed login attempts. Please wait a moment and try again.',
+        retryAfter: secondsUntil(allowedAt)
+      };
+    }
+  }
+
+  return null;
+}
+
+// Record a failed attempt; returns true if this failure locked the account
+async function recordFailedLogin(req, email, user) {
+  await db.recordLoginAttempt({ email, ipAddress: req.ip, success: false });
+
+  if (!user) return false;
+
+  const updated = await db.registerFailedLogin(user.id, LOGIN_MAX_ATTEMPTS, LOGIN_LOCKOUT_MINUTES);
+  const locked = Boolean(updated?.lockedUntil && new Date(updated.lockedUntil) > new Date());
+
+  if (locked) {
+    console.warn(`Account locked after ${LOGIN_MAX_ATTEMPTS} failed logins:`, user.email);
+    await recordAudit(req, {
+      actor: null,
+      action: 'user.locked',
+      entityType: 'user',
+      entityId: user.id,
+      after: { email: user.email, lockedUntil: updated.lockedUntil, attempts: LOGIN_MAX_ATTEMPTS }
+    });
+  }
+
+  return locked;
+}
+
+async function recordSuccessfulLogin(req, email, user) {
+  await db.recordLoginAttempt({ email, ipAddress: req.ip, success: true });
+
+  if (user.failedLoginCount > 0 || user.lockedUntil) {
+    await db.resetFailedLogins(user.id);
+  }
+}
+
+module.exports = {
+  LOGIN_LOCKOUT_MINUTES,
+  checkIpLimit,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
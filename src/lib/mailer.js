@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transport is chosen with MAIL_TRANSPORT:
+// - smtp    - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD
+// - file    - writes each message as JSON into MAIL_FILE_DIR (local development, tests)
+// - console - logs each message, bodies included (default outside production)
+// Messages carry reset and invite links, so production has no default: the file and console
+// transports have to be picked explicitly there, and an unset MAIL_TRANSPORT stops startup
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error('MAIL_TRANSPORT must be set in production. Use one of: smtp, file, console');
+}
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || "Winners' Chapel <no-reply@winnerschapel.org>";
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport(dir = MAIL_FILE_DIR) {
+  return {
+    name: 'file',
+    send: async message => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+      const filePath = path.join(dir, filename);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`📧 [MAIL] Written to ${filePath}`);
+      return { filePath };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async message => {
+      console.log('📧 [MAIL] To:', message.to);
+      console.log('📧 [MAIL] Subject:', message.subject);
+      console.log(message.text);
+      return {};
+    }
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+function getTransport() {
+  if (!activeTransport) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+// Swap the transport at runtime (e.g. a file transport in tests)
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+// Send an email: { to, subject, text, html }
+async function sendMail({ to, subject, text, html }) {
+  const transport = getTransport();
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
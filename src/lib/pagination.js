@@ -0,0 +1,16 @@
+// Response envelope for paginated list endpoints: { data, pagination }
+function paginated(data, total, { page, limit }) {
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  paginated
+};
@@ -0,0 +1,100 @@
+// Role -> permission matrix
+// Permissions are "<resource>:<action>" strings. super_admin gets everything via '*'.
+
+const ROLES = ['super_admin', 'admin', 'editor', 'media_team'];
+
+// "<type>:read" lets a caller see content hidden from the public (inactive or unpublished items)
+// "<type>:write" covers drafting and submitting for review; "<type>:publish" approves,
+// rejects and archives (see lib/workflow.js)
+// "events:checkin" scans tickets at the door (see lib/tickets.js)
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  admin: [
+    'announcements:read',
+    'announcements:write',
+    'announcements:publish',
+    'events:read',
+    'events:write',
+    'events:publish',
+    'events:checkin',
+    'services:read',
+    'services:write',
+    'services:publish',
+    'theme:read',
+    'theme:write',
+    'theme:publish',
+    'uploads:write'
+  ],
+  // Editors manage written content
+  editor: [
+    'announcements:read',
+    'announcements:write',
+    'events:read',
+    'events:write',
+    'events:checkin',
+    'uploads:write'
+  ],
+  // Media team manages posters and imagery
+  media_team: [
+    'services:read',
+    'services:write',
+    'theme:read',
+    'theme:write',
+    'uploads:write'
+  ]
+};
+
+// Scopes an API key may be granted - read-only by design
+const API_KEY_SCOPES = [
+  'announcements:read',
+  'events:read',
+  'services:read',
+  'theme:read'
+];
+
+// Upload categories map to the content permission needed to upload into them
+const UPLOAD_CATEGORY_PERMISSIONS = {
+  'services': 'services:write',
+  'events': 'events:write',
+  'theme': 'theme:write'
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  const permissions = getPermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Permission check for whoever is calling - a logged-in user (by role) or an API key (by scopes)
+function principalCan(principal, permission) {
+  if (!principal) return false;
+
+  if (principal.isApiKey) {
+    return principal.scopes.includes(permission);
+  }
+
+  return hasPermission(principal.role, permission);
+}
+
+function canUploadTo(role, category) {
+  const permission = UPLOAD_CATEGORY_PERMISSIONS[category];
+  return Boolean(permission) && hasPermission(role, permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  isValidRole,
+  getPermissions,
+  hasPermission,
+  principalCan,
+  canUploadTo
+};
@@ -0,0 +1,177 @@
+// Recurrence rules for repeating events (e.g. a weekly prayer meeting)
+// A rule is stored as JSON on the event, whose own date is the first occurrence:
+//   { frequency: 'weekly', interval: 1, byWeekday: ['WE'], until: '2025-12-31', exceptDates: ['2025-12-24'] }
+// - frequency:   daily | weekly | monthly
+// - interval:    every n days/weeks/months (default 1)
+// - byWeekday:   weekly - days of the week (defaults to the start date's weekday)
+//                monthly - with weekOfMonth, e.g. the first Sunday
+// - weekOfMonth: monthly - 1 to 5, or -1 for the last one in the month
+// - until/count: optional end - last possible date, or number of occurrences from the start
+// - exceptDates: dates to skip (they still count towards count)
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on occurrences returned by one expansion
+const MAX_OCCURRENCES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD for a DATE column value (pg returns local midnight) or a date/ISO string
+function toDateString(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Date arithmetic is done in UTC so DST changes can't shift a day
+function parseDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function weekdayIndexes(rule, start) {
+  const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+    ? rule.byWeekday
+    : [WEEKDAYS[start.getUTCDay()]];
+  return [...new Set(weekdays.map(weekday => WEEKDAYS.indexOf(weekday)))].sort((a, b) => a - b);
+}
+
+// Dates in a month falling on the given weekdays in the given week (1-5, -1 = last)
+function nthWeekdaysOfMonth(year, month, weekdays, weekOfMonth) {
+  const dates = [];
+  const lastDay = daysInMonth(year, month);
+
+  for (const weekday of weekdays) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const firstMatch = 1 + ((weekday - firstWeekday + 7) % 7);
+    const matches = [];
+    for (let day = firstMatch; day <= lastDay; day += 7) {
+      matches.push(day);
+    }
+
+    const day = weekOfMonth === -1 ? matches[matches.length - 1] : matches[weekOfMonth - 1];
+    if (day) {
+      dates.push(new Date(Date.UTC(year, month, day)));
+    }
+  }
+
+  return dates.sort((a, b) => a - b);
+}
+
+// Candidate dates in order from the start; stops once a whole period starts after end
+function* candidates(rule, start, end) {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    for (let date = start; date <= end; date = addDays(date, interval)) {
+      yield date;
+    }
+    return;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = weekdayIndexes(rule, start);
+    const firstWeek = addDays(start, -start.getUTCDay());
+
+    for (let week = firstWeek; week <= end; week = addDays(week, interval * 7)) {
+      for (const weekday of weekdays) {
+        const date = addDays(week, weekday);
+        if (date >= start) yield date;
+      }
+    }
+    return;
+  }
+
+  if (rule.frequency === 'monthly') {
+    for (let offset = 0; ; offset += interval) {
+      const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + offset) / 12);
+      const month = (start.getUTCMonth() + offset) % 12;
+      if (new Date(Date.UTC(year, month, 1)) > end) return;
+
+      if (rule.weekOfMonth) {
+        for (const date of nthWeekdaysOfMonth(year, month, weekdayIndexes(rule, start), rule.weekOfMonth)) {
+          if (date >= start) yield date;
+        }
+      } else if (start.getUTCDate() <= daysInMonth(year, month)) {
+        // Months without the start's day (e.g. the 31st) are skipped
+        yield new Date(Date.UTC(year, month, start.getUTCDate()));
+      }
+    }
+  }
+}
+
+// Occurrence dates (YYYY-MM-DD) of a series between from and to, inclusive
+// from may be omitted to expand from the series start
+function expandOccurrences(startDate, rule, from, to) {
+  const start = parseDate(toDateString(startDate));
+  const rangeStart = from ? parseDate(from) : start;
+  const until = rule.until ? parseDate(rule.until) : null;
+  const last = until && until < parseDate(to) ? until : parseDate(to);
+  const exceptDates = new Set(rule.exceptDates || []);
+
+  const dates = [];
+  let index = 0;
+
+  for (const date of candidates(rule, start, last)) {
+    if (date > last) break;
+
+    index++;
+    if (rule.count && index > rule.count) break;
+
+    const dateString = formatDate(date);
+    if (date >= rangeStart && !exceptDates.has(dateString)) {
+      dates.push(dateString);
+      if (dates.length >= MAX_OCCURRENCES) break;
+    }
+  }
+
+  return dates;
+}
+
+function isOccurrence(startDate, rule, date) {
+  return expandOccurrences(startDate, rule, date, date).length === 1;
+}
+
+// "Sunday, 14 July 2024, 6:00 PM - 9:00 PM" line for feed summaries and emails
+function describeWhen(event) {
+  const date = parseDate(toDateString(event.date)).toLocaleDateString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+  const repeats = event.recurrence ? ` (repeats ${event.recurrence.frequency})` : '';
+  return `${date}, ${event.time}${repeats}`;
+}
+
+// Date string n days after another
+function addDaysToDateString(dateString, days) {
+  return formatDate(addDays(parseDate(dateString), days));
+}
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  toDateString,
+  expandOccurrences,
+  isOccurrence,
+  addDaysToDateString,
+  describeWhen
+};
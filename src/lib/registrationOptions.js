@@ -0,0 +1,8 @@
+// Event registration values the API accepts (see lib/registrations.js)
+const QUESTION_TYPES = ['text', 'textarea', 'select', 'checkbox'];
+const REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+module.exports = {
+  QUESTION_TYPES,
+  REGISTRATION_STATUSES
+};
@@ -0,0 +1,163 @@
+const db = require('./db');
+const { sendMail } = require('./mailer');
+const { waitlistPromotionEmail, ticketLink } = require('./emails');
+const { toDateString, describeWhen } = require('./recurrence');
+const { churchToday } = require('./schedules');
+const { isPublished } = require('./workflow');
+const { issueRegistrationTicket } = require('./tickets');
+const { checkIpLimit } = require('./loginProtection');
+const { QUESTION_TYPES, REGISTRATION_STATUSES } = require('./registrationOptions');
+
+// Event registration (RSVP) - settings are stored as JSON on the event, null when sign-up is off:
+//   { capacity: 120, deadline: '2025-07-10T23:59:00Z', maxSeats: 4, questions: [...] }
+// - capacity:  confirmed seats available, null for no limit. Sign-ups past it are waitlisted and
+//              promoted in order when places free up (a cancellation or a raised capacity)
+// - deadline:  last moment to sign up, otherwise the end of the event's day
+// - maxSeats:  places one registration may book
+// - questions: extra form fields, e.g. { id: 'diet', label: 'Dietary needs', type: 'text' },
+//              of a type in QUESTION_TYPES (lib/registrationOptions.js)
+
+// Sign-ups from one IP within the window before it gets 429s - the per-IP login limit, for registrations
+const REGISTRATION_IP_MAX_ATTEMPTS = parseInt(process.env.REGISTRATION_IP_MAX_ATTEMPTS || '10');
+const REGISTRATION_IP_WINDOW_MINUTES = parseInt(process.env.REGISTRATION_IP_WINDOW_MINUTES || '15');
+
+// Why the public can't register right now, or null when sign-up is open
+function closedReason(event, now = new Date()) {
+  if (!event.registration) {
+    return 'This event does not take registrations';
+  }
+  if (!isPublished(event) || !event.isActive) {
+    return 'Registration for this event is closed';
+  }
+
+  const { deadline } = event.registration;
+  const past = deadline ? now > new Date(deadline) : churchToday(now) > toDateString(event.date);
+  return past ? 'Registration for this event has closed' : null;
+}
+
+// Returns null if the IP may register, otherwise { status, error, retryAfter }
+async function checkRegistrationAllowed(ipAddress) {
+  return checkIpLimit(await db.countRecentRegistrationsByIp(ipAddress, REGISTRATION_IP_WINDOW_MINUTES), {
+    max: REGISTRATION_IP_MAX_ATTEMPTS,
+    windowMinutes: REGISTRATION_IP_WINDOW_MINUTES,
+    error: 'Too many registrations from your network. Please try again later.'
+  });
+}
+
+// Public view of an event's registration - what the sign-up form needs
+function availability(event, counts) {
+  const { capacity, deadline, maxSeats, questions } = event.registration;
+
+  return {
+    open: closedReason(event) === null,
+    capacity,
+    remaining: capacity == null ? null : Math.max(capacity - counts.confirmedSeats, 0),
+    waitlisted: counts.waitlisted,
+    deadline,
+    maxSeats,
+    questions
+  };
+}
+
+// Check answers against the event's questions
+// Returns a list of { field, message } problems, empty when the answers are fine
+function checkAnswers(questions, answers) {
+  const errors = [];
+  const known = new Set(questions.map(question => question.id));
+
+  for (const id of Object.keys(answers)) {
+    if (!known.has(id)) {
+      errors.push({ field: `answers.${id}`, message: 'Unknown question' });
+    }
+  }
+
+  for (const question of questions) {
+    const answer = answers[question.id];
+    const field = `answers.${question.id}`;
+    const blank = answer === undefined || answer === '' || (question.type === 'checkbox' && answer === false);
+
+    if (blank) {
+      if (question.required) errors.push({ field, message: `${question.label} is required` });
+      continue;
+    }
+
+    if (question.type === 'checkbox' ? typeof answer !== 'boolean' : typeof answer !== 'string') {
+      errors.push({ field, message: `${question.label} has the wrong type of answer` });
+    } else if (question.type === 'select' && !question.options.includes(answer)) {
+      errors.push({ field, message: `${question.label} must be one of: ${question.options.join(', ')}` });
+    }
+  }
+
+  return errors;
+}
+
+// Fill free places from the waitlist, then ticket and email whoever got in
+// Ticket and email failures are logged - the promotion itself stands, and a missing ticket
+// is issued when the event's tickets are next listed
+async function promoteWaitlist(event) {
+  if (!event.registration) return [];
+
+  const promoted = await db.promoteWaitlist(event.id, event.registration.capacity);
+
+  for (const registration of promoted) {
+    try {
+      const ticket = await issueRegistrationTicket(registration);
+
+      await sendMail({
+        to: registration.email,
+        ...waitlistPromotionEmail({
+          name: registration.name,
+          eventTitle: event.title,
+          when: describeWhen(event),
+          seats: registration.seats,
+          ticketLink: ticketLink({ eventSlug: event.slug, code: ticket.code })
+        })
+      });
+    } catch (error) {
+      console.error('Waitlist promotion ticket or email error:', error);
+    }
+  }
+
+  return promoted;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Registrants as CSV, one column per custom question
+function registrationsCsv(event, registrations) {
+  const questions = event.registration ? event.registration.questions : [];
+  const header = ['Registered at', 'Status', 'Name', 'Email', 'Phone', 'Seats', ...questions.map(question => question.label)];
+
+  const rows = registrations.map(registration => [
+    new Date(registration.createdAt).toISOString(),
+    registration.status,
+    registration.name,
+    registration.email,
+    registration.phone,
+    registration.seats,
+    ...questions.map(question => {
+      const answer = (registration.answers || {})[question.id];
+      return typeof answer === 'boolean' ? (answer ? 'Yes' : 'No') : answer;
+    })
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  REGISTRATION_STATUSES,
+  closedReason,
+  checkRegistrationAllowed,
+  availability,
+  checkAnswers,
+  promoteWaitlist,
+  registrationsCsv
+};
@@ -0,0 +1,81 @@
+const db = require('./db');
+const { diffRecords } = require('./audit');
+const { toDateString } = require('./recurrence');
+
+// Content fields kept in each revision. Bookkeeping and workflow status are left out,
+// so restoring an old version never publishes or unpublishes anything.
+const REVISION_FIELDS = {
+  announcement: ['title', 'date', 'description', 'icon', 'badge', 'badgeVariant', 'isActive', 'publishAt', 'expiresAt',
+    'isPinned', 'pinnedUntil', 'priority', 'audiences'],
+  event: ['title', 'date', 'time', 'description', 'imageUrl', 'isActive', 'recurrence', 'registration'],
+  service: ['title', 'subtitle', 'description', 'imageUrl', 'order', 'schedule'],
+  theme: ['title', 'description', 'posterPath', 'effectiveFrom', 'effectiveTo', 'scriptureReferences', 'confessions']
+};
+
+// Field holding the uploaded image a revision keeps alive
+const IMAGE_FIELDS = {
+  event: 'imageUrl',
+  service: 'imageUrl',
+  theme: 'posterPath'
+};
+
+// DATE columns - pg returns them as Date objects
+const DATE_FIELDS = ['date', 'effectiveFrom', 'effectiveTo'];
+
+// Revision data for an item - dates as YYYY-MM-DD so they round-trip through JSON
+function snapshot(type, item) {
+  const data = {};
+  for (const field of REVISION_FIELDS[type]) {
+    const value = item[field] ?? null;
+    data[field] = DATE_FIELDS.includes(field) && value ? toDateString(value) : value;
+  }
+  return data;
+}
+
+function imageOf(type, item) {
+  return IMAGE_FIELDS[type] ? item[IMAGE_FIELDS[type]] : null;
+}
+
+// Store the saved state of an item as its next revision, with the fields changed since the last one
+// Pass before on updates: items older than revision history get it stored first as a baseline
+// Saves that change none of the revision fields are skipped
+// Never throws - a failed revision write must not break the save
+async function recordRevision(req, type, item, { before, restoredFrom } = {}) {
+  try {
+    let latest = await db.getLatestRevision(type, item.id);
+
+    if (!latest && before) {
+      latest = await db.createRevision(type, {
+        contentId: item.id,
+        data: snapshot(type, before),
+        imageUrl: imageOf(type, before)
+      });
+    }
+
+    const data = snapshot(type, item);
+    const changes = latest ? diffRecords(latest.data, data) : null;
+
+    if (changes && Object.keys(changes.after).length === 0 && !restoredFrom) {
+      return latest;
+    }
+
+    return await db.createRevision(type, {
+      contentId: item.id,
+      data,
+      changes,
+      imageUrl: imageOf(type, item),
+      restoredFrom,
+      createdBy: req.user?.id
+    });
+  } catch (error) {
+    console.error(`Revision error (${type} ${item.id}):`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshot,
+  imageOf,
+  recordRevision
+};
@@ -0,0 +1,114 @@
+const { WEEKDAYS, addDaysToDateString } = require('./recurrence');
+const { CALENDAR_TIMEZONE } = require('./ical');
+
+// Weekly service schedules - each service has a list of slots, stored as JSON:
+//   [{ weekday: 'SU', startTime: '07:00', endTime: '09:00', venue: 'Main Auditorium', language: 'en' }]
+// Times are wall-clock times at the church (CALENDAR_TIMEZONE). endTime, venue and language are optional.
+const SCHEDULE_TIMEZONE = CALENDAR_TIMEZONE;
+
+const MINUTE_MS = 60 * 1000;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Date, weekday and time of day at the church for an instant
+function localNow(now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: SCHEDULE_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    date,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    // Wall clock read as UTC, minus the real instant - 0 in Monrovia, which keeps GMT all year
+    offsetMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(now / MINUTE_MS) * MINUTE_MS
+  };
+}
+
+// Today's date at the church (YYYY-MM-DD)
+function churchToday(now = new Date()) {
+  return localNow(now).date;
+}
+
+function weekdayOf(dateString) {
+  return WEEKDAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+}
+
+// Instant of a local date and time
+function toInstant(dateString, time, offsetMs) {
+  return new Date(Date.parse(`${dateString}T${time}:00Z`) - offsetMs).toISOString();
+}
+
+// Gatherings of the given services over the next `days` days (today included), soonest first
+// A gathering still under way counts (inProgress), one that has ended doesn't; a slot with no
+// end time drops off once it starts. Options: days, language, now
+function upcomingGatherings(services, { days = 7, language, now = new Date() } = {}) {
+  const local = localNow(now);
+  const gatherings = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDaysToDateString(local.date, offset);
+    const weekday = weekdayOf(date);
+
+    for (const service of services) {
+      for (const slot of service.schedule || []) {
+        if (slot.weekday !== weekday || (language && slot.language !== language)) continue;
+
+        const start = toMinutes(slot.startTime);
+        const end = slot.endTime ? toMinutes(slot.endTime) : start;
+        if (offset === 0 && end <= local.minutes) continue;
+
+        gatherings.push({
+          serviceId: service.id,
+          title: service.title,
+          subtitle: service.subtitle,
+          imageUrl: service.imageUrl,
+          date,
+          weekday,
+          startTime: slot.startTime,
+          endTime: slot.endTime || null,
+          startsAt: toInstant(date, slot.startTime, local.offsetMs),
+          endsAt: slot.endTime ? toInstant(date, slot.endTime, local.offsetMs) : null,
+          venue: slot.venue || null,
+          language: slot.language || null,
+          inProgress: offset === 0 && start <= local.minutes
+        });
+      }
+    }
+  }
+
+  return gatherings.sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.serviceId.localeCompare(b.serviceId));
+}
+
+// Gatherings grouped by day - every day in the range is listed, with or without gatherings
+function scheduleByDay(gatherings, { days = 7, now = new Date() } = {}) {
+  const today = localNow(now).date;
+
+  return Array.from({ length: days }, (_, offset) => {
+    const date = addDaysToDateString(today, offset);
+    return {
+      date,
+      weekday: weekdayOf(date),
+      gatherings: gatherings.filter(gathering => gathering.date === date)
+    };
+  });
+}
+
+module.exports = {
+  SCHEDULE_TIMEZONE,
+  toMinutes,
+  churchToday,
+  upcomingGatherings,
+  scheduleByDay
+};
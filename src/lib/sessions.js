@@ -0,0 +1,93 @@
+const { v4: uuidv4 } = require('uuid');
+const { generateToken } = require('../middleware/auth');
+const { randomToken, hashToken, hashesMatch } = require('./tokens');
+const db = require('./db');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Refresh tokens look like "<sessionId>.<secret>" - only the secret's hash is stored
+function createRefreshToken(sessionId) {
+  const secret = randomToken();
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret)
+  };
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const separator = refreshToken.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  return {
+    sessionId: refreshToken.slice(0, separator),
+    secret: refreshToken.slice(separator + 1)
+  };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session for a user and return its token pair
+async function startSession(user, req) {
+  const id = `session-${uuidv4()}`;
+  const { refreshToken, refreshTokenHash } = createRefreshToken(id);
+
+  await db.createSession({
+    id,
+    userId: user.id,
+    refreshTokenHash,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateToken(user, id),
+    refreshToken
+  };
+}
+
+// Exchange a refresh token for a new token pair (rotation)
+// Returns null when the token is unknown, expired, revoked or already used
+async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await db.getSessionWithTokenHash(parsed.sessionId);
+  if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const currentHash = hashToken(parsed.secret);
+  if (!hashesMatch(currentHash, session.refreshTokenHash)) {
+    // An old refresh token was replayed - assume it leaked and kill the session
+    console.warn('Refresh token reuse detected for session:', session.id);
+    await db.revokeSession(session.id);
+    return null;
+  }
+
+  const user = await db.getUserById(session.userId);
+  if (!user || !user.isActive) {
+    await db.revokeSession(session.id);
+    return null;
+  }
+
+  // Two requests can get this far with the same token - only the first to rotate it wins
+  const next = createRefreshToken(session.id);
+  const rotated = await db.rotateSessionToken(session.id, currentHash, next.refreshTokenHash, refreshExpiry());
+  if (!rotated) return null;
+
+  return {
+    user,
+    token: generateToken(user, session.id),
+    refreshToken: next.refreshToken
+  };
+}
+
+module.exports = {
+  startSession,
+  refreshSession
+};
@@ -0,0 +1,20 @@
+// What a permalink slug looks like, e.g. "easter-sunday-service" (see lib/slugs.js)
+const SLUG_MAX_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Easter Sunday Service!" -> "easter-sunday-service" (accents dropped)
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  SLUG_PATTERN,
+  slugify
+};
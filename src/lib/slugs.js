@@ -0,0 +1,106 @@
+const db = require('./db');
+const { SLUG_MAX_LENGTH, SLUG_PATTERN, slugify } = require('./slugFormat');
+
+// Permalink slugs for announcements, events and themes, e.g. "easter-sunday-service"
+// Slugs are unique per table and don't follow later title edits. Changing one keeps the
+// old slug as a redirect, so links shared before the change keep working.
+
+// Tries at saving with a generated slug before giving up (see saveWithSlug)
+const SLUG_SAVE_ATTEMPTS = 5;
+
+const SLUG_TAKEN = 'This slug is already in use';
+
+// Used when a title has no letters or digits to build a slug from
+const SLUG_FALLBACKS = {
+  announcements: 'announcement',
+  events: 'event',
+  theme: 'theme'
+};
+
+// First free slug for a title: "easter-service", then "easter-service-2", "-3" and so on
+// skip: slugs to treat as taken on top of the saved ones
+async function uniqueSlug(table, title, skip = []) {
+  const base = slugify(title) || SLUG_FALLBACKS[table];
+  const taken = new Set([...await db.getTakenSlugs(table, base), ...skip]);
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// Slug to save for a create (no existing item) or update
+// - a slug sent by the editor is used as-is, unless another item has it or had it before
+// - otherwise new items get one from their title and existing items keep theirs
+// Returns { slug } or { error }
+async function assignSlug(table, { slug, title }, existing = null) {
+  if (!slug) {
+    return { slug: existing ? existing.slug : await uniqueSlug(table, title) };
+  }
+  if (existing && slug === existing.slug) {
+    return { slug };
+  }
+
+  // An item may take back one of its own old slugs
+  const taken = await db.getTakenSlugs(table, slug, existing ? existing.id : null);
+  if (taken.includes(slug)) {
+    return { error: SLUG_TAKEN };
+  }
+  return { slug };
+}
+
+// Create or update with the slug assignSlug picks - save(slug) does the write and its result is
+// returned as { saved }, or { error } for a slug that can't be used.
+// Another save can take the same slug between the check and the write; the unique index then
+// rejects ours (23505). A generated slug moves on to the next free suffix, an editor's is refused.
+async function saveWithSlug(table, data, existing, save) {
+  let { slug, error } = await assignSlug(table, data, existing);
+  if (error) return { error };
+
+  const generated = !data.slug && !existing;
+  const skip = [];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { saved: await save(slug) };
+    } catch (saveError) {
+      if (saveError.code !== '23505' || saveError.constraint !== `idx_${table}_slug`) throw saveError;
+      if (!generated) return { error: SLUG_TAKEN };
+      if (attempt >= SLUG_SAVE_ATTEMPTS) throw saveError;
+
+      skip.push(slug);
+      slug = await uniqueSlug(table, data.title, skip);
+    }
+  }
+}
+
+// After a save: keep the previous slug as a redirect, and stop redirecting the new one
+async function recordSlugChange(table, id, previousSlug, slug) {
+  if (!previousSlug || previousSlug === slug) return;
+
+  await db.saveSlugRedirect(table, previousSlug, id);
+  await db.deleteSlugRedirect(table, slug);
+}
+
+// Item for a slug - the current one, or an old one that now redirects
+// Returns { item, redirected } with item null when nothing matches
+async function findBySlug(table, slug) {
+  const item = await db.getContentBySlug(table, slug);
+  if (item) {
+    return { item, redirected: false };
+  }
+
+  const moved = await db.getContentBySlugRedirect(table, slug);
+  return { item: moved || null, redirected: Boolean(moved) };
+}
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  SLUG_PATTERN,
+  slugify,
+  uniqueSlug,
+  assignSlug,
+  saveWithSlug,
+  recordSlugChange,
+  findBySlug
+};
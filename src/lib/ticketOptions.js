@@ -0,0 +1,8 @@
+// Event ticket values the API accepts (see lib/tickets.js)
+const TICKET_STATUSES = ['issued', 'checked_in', 'revoked'];
+const QR_FORMATS = ['svg', 'png'];
+
+module.exports = {
+  TICKET_STATUSES,
+  QR_FORMATS
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { TICKET_STATUSES, QR_FORMATS } = require('./ticketOptions');
+
+// Event admission tickets, checked in at the door by scanning a QR code
+// A ticket's code is "<ticket id>.<signature>", the signature being an HMAC of the event and
+// ticket ids. Codes don't need storing - they can be rebuilt for emails at any time - and a
+// code can't be guessed, edited into another ticket's, or used at a different event.
+const TICKET_SECRET = process.env.TICKET_SECRET || process.env.JWT_SECRET || 'your-super-secret-key-change-this-in-production';
+
+function signature(eventId, ticketId) {
+  return crypto
+    .createHmac('sha256', TICKET_SECRET)
+    .update(`${eventId}:${ticketId}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+function ticketCode(ticket) {
+  return `${ticket.id}.${signature(ticket.eventId, ticket.id)}`;
+}
+
+// Ticket id from a scanned code, or null if the code wasn't issued for this event
+function verifyTicketCode(eventId, code) {
+  const [ticketId, given, extra] = String(code).trim().split('.');
+  if (!ticketId || !given || extra !== undefined) return null;
+
+  const expected = Buffer.from(signature(eventId, ticketId));
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? ticketId : null;
+}
+
+function withCode(ticket) {
+  return ticket && { ...ticket, code: ticketCode(ticket) };
+}
+
+// QR code image of a ticket code - the payload is the code itself
+// Returns { contentType, body }
+async function ticketQr(code, format = 'svg') {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+  if (format === 'png') {
+    return { contentType: 'image/png', body: await QRCode.toBuffer(code, { ...options, type: 'png', width: 512 }) };
+  }
+  return { contentType: 'image/svg+xml', body: await QRCode.toString(code, { ...options, type: 'svg' }) };
+}
+
+// Ticket for a confirmed registration, admitting its seats - issued once, later calls return it
+async function issueRegistrationTicket(registration) {
+  const ticket = await db.createTicket({
+    id: `ticket-${uuidv4()}`,
+    eventId: registration.eventId,
+    registrationId: registration.id,
+    holderName: registration.name,
+    holderEmail: registration.email,
+    admits: registration.seats
+  });
+  return withCode(ticket);
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  QR_FORMATS,
+  ticketCode,
+  verifyTicketCode,
+  withCode,
+  ticketQr,
+  issueRegistrationTicket
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Random opaque token for links and refresh tokens
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Tokens are stored as SHA-256 hashes so a database leak doesn't expose them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Constant-time comparison of two hex hashes
+function hashesMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  randomToken,
+  hashToken,
+  hashesMatch
+};
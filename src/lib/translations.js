@@ -0,0 +1,83 @@
+const db = require('./db');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, TRANSLATION_LOCALES } = require('./locales');
+
+// Translated content - the content tables hold the default locale, translations of their
+// text fields live in <type>_translations, one row per locale and field.
+// Readers get the best locale they asked for, field by field: anything not translated
+// falls back to the default locale (lib/locales.js).
+
+// Text fields that can be translated per content type
+const TRANSLATABLE_FIELDS = {
+  announcement: ['title', 'description', 'badge'],
+  event: ['title', 'description'],
+  service: ['title', 'subtitle', 'description'],
+  theme: ['title', 'description']
+};
+
+// Locale for a read: ?lang= if it's supported, otherwise the best match for Accept-Language
+// ("fr-CA" matches "fr"), otherwise the default. Sets Content-Language and Vary on the response.
+function negotiateLocale(req, res) {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  const locale = SUPPORTED_LOCALES.includes(requested)
+    ? requested
+    : req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  return locale;
+}
+
+// Items with their translated fields swapped in for the locale
+// Fields changed on a single occurrence of a recurring event (modifiedFields) are left as edited
+async function localize(type, items, locale) {
+  if (locale === DEFAULT_LOCALE || items.length === 0) return items;
+
+  const rows = await db.getTranslations(type, [...new Set(items.map(item => item.id))], locale);
+  const byItem = new Map();
+  for (const row of rows) {
+    if (!byItem.has(row.contentId)) byItem.set(row.contentId, {});
+    byItem.get(row.contentId)[row.field] = row.value;
+  }
+
+  return items.map(item => {
+    const translated = byItem.get(item.id);
+    if (!translated) return item;
+
+    const localized = { ...item };
+    for (const field of TRANSLATABLE_FIELDS[type]) {
+      if (translated[field] !== undefined && !(item.modifiedFields || []).includes(field)) {
+        localized[field] = translated[field];
+      }
+    }
+    return localized;
+  });
+}
+
+async function localizeItem(type, item, locale) {
+  const [localized] = await localize(type, [item], locale);
+  return localized;
+}
+
+// Translatable fields of an item with no translation in each translation locale
+// Fields empty on the item itself don't need translating
+function missingFields(type, item, translations) {
+  const missing = {};
+
+  for (const locale of TRANSLATION_LOCALES) {
+    const translated = new Set(translations.filter(row => row.locale === locale).map(row => row.field));
+    missing[locale] = TRANSLATABLE_FIELDS[type].filter(field => item[field] && !translated.has(field));
+  }
+
+  return missing;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS,
+  negotiateLocale,
+  localize,
+  localizeItem,
+  missingFields
+};
@@ -0,0 +1,86 @@
+const db = require('./db');
+const { imageOf } = require('./revisions');
+const { releaseImages } = require('./images');
+
+// Deleted content stays in the trash this long before it's purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often expired trash is purged while the server runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trash bin types (as used in /api/trash/:type) -> table, audit entity type and label
+const TRASH_TYPES = {
+  announcements: { table: 'announcements', entityType: 'announcement', label: 'Announcement' },
+  events: { table: 'events', entityType: 'event', label: 'Event' },
+  services: { table: 'services', entityType: 'service', label: 'Service' },
+  theme: { table: 'theme', entityType: 'theme', label: 'Theme' }
+};
+
+// When a trashed item will be purged automatically
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Delete a trashed item for good, then release the images it and its revisions
+// (and an event's occurrence overrides) used
+async function purgeItem(type, item) {
+  const { table, entityType } = TRASH_TYPES[type];
+
+  const imageUrls = [imageOf(entityType, item), ...await db.getRevisionImageUrls(entityType, item.id)];
+  if (type === 'events') {
+    const overrides = await db.getEventOccurrenceOverrides([item.id]);
+    imageUrls.push(...overrides.map(override => override.imageUrl));
+  }
+
+  const purged = await db.purgeContent(table, item.id);
+  if (purged) {
+    await releaseImages(imageUrls);
+  }
+  return purged;
+}
+
+// Purge everything deleted more than TRASH_RETENTION_DAYS ago - returns how many items went
+async function purgeExpiredTrash() {
+  let count = 0;
+
+  for (const [type, { table, entityType }] of Object.entries(TRASH_TYPES)) {
+    for (const item of await db.getExpiredTrash(table, TRASH_RETENTION_DAYS)) {
+      if (await purgeItem(type, item)) {
+        count++;
+        // System action - no actor
+        await db.createAuditEntry({ action: `${entityType}.purged`, entityType, entityId: item.id, before: item });
+      }
+    }
+  }
+
+  return count;
+}
+
+// Purge expired trash now and then every hour; never throws
+function scheduleTrashPurge() {
+  const run = async () => {
+    try {
+      const count = await purgeExpiredTrash();
+      if (count > 0) {
+        console.log(`Purged ${count} item(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  // unref so the timer never keeps the process alive on its own
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  purgeDate,
+  purgeItem,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
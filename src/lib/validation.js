@@ -1,4 +1,13 @@
 const { z } = require('zod');
+const { ROLES, API_KEY_SCOPES } = require('./permissions');
+const { WEEKDAYS, FREQUENCIES } = require('./recurrence');
+const { WORKFLOW_STATUSES } = require('./workflow');
+const { SLUG_PATTERN, SLUG_MAX_LENGTH } = require('./slugFormat');
+const { TRANSLATION_LOCALES } = require('./locales');
+const { QUESTION_TYPES, REGISTRATION_STATUSES } = require('./registrationOptions');
+const { TICKET_STATUSES, QR_FORMATS } = require('./ticketOptions');
+const { toMinutes } = require('./schedules');
+const { ANNOUNCEMENT_PRIORITIES, AUDIENCE_PATTERN, AUDIENCE_MAX_LENGTH } = require('./announcements');
 
 // Login validation
 const loginSchema = z.object({
@@ -6,6 +15,163 @@ const loginSchema = z.object({
   password: z.string().min(6, 'Password must be at least 6 characters'),
 });
 
+// Forgot password validation
+const forgotPasswordSchema = z.object({
+  email: z.string().min(1, 'Email is required'),
+});
+
+// Reset password validation
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  newPassword: z.string().min(6, 'New password must be at least 6 characters'),
+});
+
+// Invitation validation
+const invitationSchema = z.object({
+  email: z.string().email('Please enter a valid email'),
+  name: z.string().optional(),
+  role: z.enum(ROLES).default('admin'),
+});
+
+// Accept invitation validation
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1, 'Invitation token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+  name: z.string().optional(),
+});
+
+// Second login step - an authenticator code or a recovery code
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: z.string().optional(),
+  recoveryCode: z.string().optional(),
+}).refine(data => data.code || data.recoveryCode, {
+  message: 'Enter the code from your authenticator app or a recovery code',
+  path: ['code'],
+});
+
+// Authenticator code validation
+const twoFactorCodeSchema = z.object({
+  code: z.string().min(1, 'Authentication code is required'),
+});
+
+// Disable two-factor validation
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: z.string().min(1, 'Authentication code is required'),
+});
+
+// Shared paging params for list endpoints
+const pageParams = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+};
+
+// Audit log query validation
+const auditQuerySchema = z.object({
+  actorId: z.string().optional(),
+  action: z.string().optional(),
+  entityType: z.string().optional(),
+  entityId: z.string().optional(),
+  from: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  to: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  ...pageParams,
+});
+
+// Revision history of a content item, newest first
+const revisionQuerySchema = z.object({
+  ...pageParams,
+});
+
+// Trash bin listing, optionally one content type
+const trashQuerySchema = z.object({
+  type: z.enum(['announcements', 'events', 'services', 'theme']).optional(),
+  ...pageParams,
+});
+
+// Items missing translations, in one locale or all of them
+const missingTranslationsQuerySchema = z.object({
+  locale: z.string().refine(locale => TRANSLATION_LOCALES.includes(locale), {
+    message: `Locale must be one of: ${TRANSLATION_LOCALES.join(', ')}`,
+  }).optional(),
+  ...pageParams,
+});
+
+// List query validation - sort is a field name, prefixed with "-" for descending (e.g. "-date")
+function listQuerySchema(sortFields, filters = {}) {
+  return z.object({
+    ...pageParams,
+    sort: z.enum([...sortFields, ...sortFields.map(field => `-${field}`)]).optional(),
+    ...filters,
+  });
+}
+
+const includeInactiveFilter = {
+  includeInactive: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+};
+
+// Content lists only show published items unless a caller with read access asks otherwise
+const workflowStatusFilter = {
+  workflowStatus: z.enum([...WORKFLOW_STATUSES, 'all']).optional(),
+};
+
+const dateRangeFilters = {
+  from: z.string().date('from must be a date (YYYY-MM-DD)').optional(),
+  to: z.string().date('to must be a date (YYYY-MM-DD)').optional(),
+};
+
+// Audience tag, e.g. "youth" or "men-fellowship"
+const audienceTag = z.string()
+  .max(AUDIENCE_MAX_LENGTH, `Audience must be at most ${AUDIENCE_MAX_LENGTH} characters`)
+  .regex(AUDIENCE_PATTERN, 'Audience can only contain lowercase letters, numbers and single hyphens');
+
+const announcementQuerySchema = listQuerySchema(['date', 'title', 'priority', 'publishAt', 'expiresAt', 'createdAt'], {
+  ...workflowStatusFilter,
+  ...includeInactiveFilter,
+  ...dateRangeFilters,
+  status: z.enum(['live', 'scheduled', 'expired', 'all']).optional(),
+  // One or more comma-separated audiences
+  audience: z.string()
+    .transform(value => value.split(',').map(audience => audience.trim().toLowerCase()).filter(Boolean))
+    .pipe(z.array(audienceTag).min(1).max(10))
+    .optional(),
+  pinned: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+});
+const eventQuerySchema = listQuerySchema(['date', 'title', 'createdAt'], {
+  ...workflowStatusFilter,
+  ...includeInactiveFilter,
+  ...dateRangeFilters,
+});
+const serviceQuerySchema = listQuerySchema(['order', 'title', 'createdAt'], workflowStatusFilter);
+// from/to filter on the date a theme takes effect
+const themeQuerySchema = listQuerySchema(['title', 'effectiveFrom', 'createdAt'], {
+  ...workflowStatusFilter,
+  ...dateRangeFilters,
+});
+const userQuerySchema = listQuerySchema(['name', 'email', 'role', 'lastLogin', 'createdAt'], {
+  ...includeInactiveFilter,
+  role: z.enum(ROLES).optional(),
+});
+
+// Search validation - type is one or more comma-separated content types
+const SEARCH_TYPES = ['announcement', 'event', 'service', 'theme'];
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(2, 'Search must be at least 2 characters').max(200, 'Search is too long'),
+  type: z.string()
+    .transform(value => value.split(',').map(type => type.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(SEARCH_TYPES)).min(1))
+    .optional(),
+  ...pageParams,
+});
+
+// API key validation
+const apiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required'),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'Choose at least one scope'),
+  expiresAt: z.string().datetime({ offset: true }).optional(),
+});
+
 // Poster validation - imageUrl is validated manually in the form
 const posterSchema = z.object({
   title: z.string().min(1, 'Title is required'),
@@ -15,23 +181,189 @@ const posterSchema = z.object({
   serviceTime: z.string().optional(), // Time info for service posters
 });
 
+// Permalink slug - generated from the title when left out (see lib/slugs.js)
+const slugField = z.string()
+  .max(SLUG_MAX_LENGTH, `Slug must be at most ${SLUG_MAX_LENGTH} characters`)
+  .regex(SLUG_PATTERN, 'Slug can only contain lowercase letters, numbers and single hyphens');
+
 // Announcement validation
 const announcementSchema = z.object({
   title: z.string().min(1, 'Title is required'),
+  slug: slugField.optional(),
   date: z.string().min(1, 'Date is required'),
   description: z.string().min(1, 'Description is required'),
   icon: z.string().min(1, 'Icon is required'),
   badge: z.string().min(1, 'Badge is required'),
   badgeVariant: z.enum(['default', 'secondary', 'outline']),
+  // Optional publishing window - null clears it
+  publishAt: z.string().datetime({ offset: true }).nullable().optional(),
+  expiresAt: z.string().datetime({ offset: true }).nullable().optional(),
+  // Pinned to the top until pinnedUntil (null for no end); omit these to keep the current values
+  isPinned: z.boolean().optional(),
+  pinnedUntil: z.string().datetime({ offset: true }).nullable().optional(),
+  priority: z.enum(ANNOUNCEMENT_PRIORITIES).optional(),
+  // Ministries it's for - [] for the whole church
+  audiences: z.array(audienceTag).max(10).transform(audiences => [...new Set(audiences)]).optional(),
+}).refine(data => !data.publishAt || !data.expiresAt || new Date(data.expiresAt) > new Date(data.publishAt), {
+  message: 'Expiry must be after the publish time',
+  path: ['expiresAt'],
+}).refine(data => !data.pinnedUntil || data.isPinned !== false, {
+  message: 'Only a pinned announcement can have pinnedUntil',
+  path: ['pinnedUntil'],
+});
+
+// Recurrence rule validation - see lib/recurrence.js
+const recurrenceSchema = z.object({
+  frequency: z.enum(FREQUENCIES),
+  interval: z.number().int().min(1).max(52).default(1),
+  byWeekday: z.array(z.enum(WEEKDAYS)).min(1).optional(),
+  weekOfMonth: z.union([z.literal(-1), z.number().int().min(1).max(5)]).optional(),
+  until: z.string().date('until must be a date (YYYY-MM-DD)').optional(),
+  count: z.number().int().min(1).max(500).optional(),
+  exceptDates: z.array(z.string().date('Exception dates must be dates (YYYY-MM-DD)')).default([]),
+}).refine(rule => !(rule.until && rule.count), {
+  message: 'Use either until or count, not both',
+  path: ['count'],
+}).refine(rule => !rule.weekOfMonth || (rule.frequency === 'monthly' && rule.byWeekday), {
+  message: 'weekOfMonth needs a monthly frequency and byWeekday',
+  path: ['weekOfMonth'],
+});
+
+// Custom question on an event's sign-up form
+const registrationQuestionSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_-]{1,50}$/i, 'Question ids can only use letters, numbers, - and _'),
+  label: z.string().min(1, 'Question label is required').max(200),
+  type: z.enum(QUESTION_TYPES),
+  required: z.boolean().default(false),
+  options: z.array(z.string().min(1).max(200)).min(1).max(50).optional(),
+}).refine(question => question.type !== 'select' || question.options, {
+  message: 'Select questions need options',
+  path: ['options'],
+});
+
+// Event registration settings - see lib/registrations.js
+const registrationSettingsSchema = z.object({
+  capacity: z.number().int().min(1).nullable().default(null),
+  deadline: z.string().datetime({ offset: true }).nullable().default(null),
+  maxSeats: z.number().int().min(1).max(20).default(1),
+  questions: z.array(registrationQuestionSchema).max(20).default([]),
+}).refine(settings => new Set(settings.questions.map(question => question.id)).size === settings.questions.length, {
+  message: 'Question ids must be unique',
+  path: ['questions'],
 });
 
 // Event validation
 const eventSchema = z.object({
   title: z.string().min(1, 'Title is required'),
+  slug: slugField.optional(),
   date: z.string().min(1, 'Date is required'),
   time: z.string().min(1, 'Time is required'),
   description: z.string().min(1, 'Description is required'),
   imageUrl: z.string().min(1, 'Image is required'),
+  // Repeating events - the date above is the first occurrence; null makes it a one-off
+  recurrence: recurrenceSchema.nullable().optional(),
+  // Sign-up settings - null turns registration off
+  registration: registrationSettingsSchema.nullable().optional(),
+}).refine(data => !(data.recurrence && data.registration), {
+  message: 'Registration is only available for one-off events',
+  path: ['registration'],
+});
+
+// Single occurrence edit - omitted fields follow the series
+const eventOccurrenceSchema = z.object({
+  title: z.string().min(1).optional(),
+  time: z.string().min(1).optional(),
+  description: z.string().min(1).optional(),
+  imageUrl: z.string().min(1).optional(),
+  isCancelled: z.boolean().optional(),
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: 'Nothing to change',
+});
+
+const upcomingEventsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).default(4),
+});
+
+// Public sign-up for an event - seats and answers are checked against the event in the route
+const eventRegistrationSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(255),
+  email: z.string().trim().toLowerCase().email('Please enter a valid email'),
+  phone: z.string().trim().max(50).optional(),
+  seats: z.number().int().min(1).default(1),
+  answers: z.record(z.string(), z.union([z.string().trim().max(2000), z.boolean()])).default({}),
+});
+
+// Registrants of an event, optionally one status
+const registrationQuerySchema = z.object({
+  status: z.enum(REGISTRATION_STATUSES).optional(),
+  ...pageParams,
+});
+
+const registrationExportQuerySchema = z.object({
+  status: z.enum(REGISTRATION_STATUSES).optional(),
+});
+
+// Cancelling by the registrant needs the token from their email; admins don't send one
+const cancelRegistrationSchema = z.object({
+  token: z.string().min(1).optional(),
+});
+
+// Ticket issued by an admin, e.g. for a guest or at the door
+const ticketSchema = z.object({
+  holderName: z.string().trim().min(1, 'Name is required').max(255),
+  holderEmail: z.string().trim().toLowerCase().email('Please enter a valid email').optional(),
+  admits: z.number().int().min(1).max(50).default(1),
+});
+
+const ticketQuerySchema = z.object({
+  status: z.enum(TICKET_STATUSES).optional(),
+  ...pageParams,
+});
+
+const ticketQrQuerySchema = z.object({
+  code: z.string().min(1, 'Ticket code is required'),
+  format: z.enum(QR_FORMATS).default('svg'),
+});
+
+// Scanned at the door
+const checkInSchema = z.object({
+  code: z.string().trim().min(1, 'Ticket code is required').max(200),
+});
+
+// Submit / approve / reject / archive - rejecting requires a comment (checked in the route)
+const workflowActionSchema = z.object({
+  comment: z.string().trim().min(1, 'Comment cannot be empty').max(1000, 'Comment is too long').optional(),
+});
+
+// Translated fields of one item in one locale - null or an empty string removes a translation
+function translationSchema(fields) {
+  const shape = Object.fromEntries(fields.map(field => [
+    field,
+    z.string().trim().max(10000, 'Translation is too long').nullable().optional()
+      .transform(value => (value === '' ? null : value)),
+  ]));
+
+  return z.object(shape).strict().refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'Nothing to change',
+  });
+}
+
+// 24-hour wall-clock time at the church, e.g. "07:30"
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM (24-hour)');
+
+// Language a service is held in, e.g. "en" or "fr"
+const languageCode = z.string().regex(/^[a-z]{2,3}$/, 'Language must be a language code like "en" or "fr"');
+
+// Weekly meeting of a service - see lib/schedules.js
+const scheduleSlotSchema = z.object({
+  weekday: z.enum(WEEKDAYS),
+  startTime: timeOfDay,
+  endTime: timeOfDay.nullable().optional(),
+  venue: z.string().trim().min(1).max(255).nullable().optional(),
+  language: languageCode.nullable().optional(),
+}).refine(slot => !slot.endTime || toMinutes(slot.endTime) > toMinutes(slot.startTime), {
+  message: 'End time must be after the start time',
+  path: ['endTime'],
 });
 
 // Service validation
@@ -41,13 +373,45 @@ const serviceSchema = z.object({
   description: z.string().optional(),
   imageUrl: z.string().min(1, 'Image is required'),
   order: z.number().int().min(0),
+  // Weekly slots - omit to keep the current schedule, [] clears it
+  schedule: z.array(scheduleSlotSchema).max(50).optional(),
+});
+
+// Service gatherings over the coming days
+const serviceScheduleQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(28).default(7),
+  language: languageCode.optional(),
+});
+
+const nextServiceQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(20).default(1),
+  language: languageCode.optional(),
 });
 
 // Theme validation
+const scriptureReferenceSchema = z.object({
+  reference: z.string().trim().min(1, 'Reference is required').max(100),
+  text: z.string().trim().max(2000).optional(),
+});
+
 const themeSchema = z.object({
   title: z.string().min(1, 'Title is required'),
+  slug: slugField.optional(),
   description: z.string().optional(),
   posterPath: z.string().min(1, 'Poster path is required'),
+  // Dates the theme is in effect - effectiveFrom defaults to today, a null effectiveTo runs until the next theme
+  effectiveFrom: z.string().date('effectiveFrom must be a date (YYYY-MM-DD)').optional(),
+  effectiveTo: z.string().date('effectiveTo must be a date (YYYY-MM-DD)').nullable().optional(),
+  // Omit to keep the current lists, [] clears them
+  scriptureReferences: z.array(scriptureReferenceSchema).max(20).optional(),
+  confessions: z.array(z.string().trim().min(1, 'Confession is required').max(1000)).max(30).optional(),
+}).refine(data => !data.effectiveFrom || !data.effectiveTo || data.effectiveTo >= data.effectiveFrom, {
+  message: 'effectiveTo must be on or after effectiveFrom',
+  path: ['effectiveTo'],
+});
+
+const themeArchiveParamsSchema = z.object({
+  year: z.coerce.number().int().min(1900).max(9999),
 });
 
 // Helper function to validate and return errors
@@ -67,11 +431,45 @@ function validate(schema, data) {
 
 module.exports = {
   loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  invitationSchema,
+  acceptInvitationSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  auditQuerySchema,
+  revisionQuerySchema,
+  trashQuerySchema,
+  missingTranslationsQuerySchema,
+  announcementQuerySchema,
+  eventQuerySchema,
+  serviceQuerySchema,
+  themeQuerySchema,
+  userQuerySchema,
+  searchQuerySchema,
+  SEARCH_TYPES,
+  apiKeySchema,
   posterSchema,
   announcementSchema,
   eventSchema,
+  eventOccurrenceSchema,
+  upcomingEventsQuerySchema,
+  eventRegistrationSchema,
+  registrationQuerySchema,
+  registrationExportQuerySchema,
+  cancelRegistrationSchema,
+  ticketSchema,
+  ticketQuerySchema,
+  ticketQrQuerySchema,
+  checkInSchema,
+  workflowActionSchema,
+  translationSchema,
   serviceSchema,
+  serviceScheduleQuerySchema,
+  nextServiceQuerySchema,
   themeSchema,
+  themeArchiveParamsSchema,
   validate
 };
 
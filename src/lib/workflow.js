@@ -0,0 +1,24 @@
+// Draft -> review -> publish workflow shared by announcements, events, services and theme
+// Writers (<type>:write) submit drafts; publishers (<type>:publish) approve, reject or archive.
+// Only published content is ever shown to the public.
+const WORKFLOW_STATUSES = ['draft', 'pending_review', 'published', 'archived'];
+
+// Each action: statuses it can start from, the resulting status, the permission
+// action needed ("write" or "publish") and the audit log verb
+const WORKFLOW_ACTIONS = {
+  submit: { from: ['draft'], to: 'pending_review', permission: 'write', audit: 'submitted' },
+  // Publishers can also publish a draft or re-publish archived content directly
+  approve: { from: ['pending_review', 'draft', 'archived'], to: 'published', permission: 'publish', audit: 'approved' },
+  reject: { from: ['pending_review'], to: 'draft', permission: 'publish', audit: 'rejected', commentRequired: true },
+  archive: { from: ['published'], to: 'archived', permission: 'publish', audit: 'archived' }
+};
+
+function isPublished(item) {
+  return item.workflowStatus === 'published';
+}
+
+module.exports = {
+  WORKFLOW_STATUSES,
+  WORKFLOW_ACTIONS,
+  isPublished
+};
@@ -1,19 +1,30 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const db = require('../lib/db');
+const { principalCan } = require('../lib/permissions');
+const { isApiKey, verifyApiKey } = require('../lib/apiKeys');
+const {
+  LOGIN_LOCKOUT_MINUTES,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../lib/loginProtection');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-this-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
 
-// Generate JWT token
-function generateToken(user) {
+// Generate short-lived JWT access token bound to a server-side session
+function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       id: user.id, 
       email: user.email,
-      role: user.role 
+      role: user.role,
+      sid: sessionId
     }, 
     JWT_SECRET, 
-    { expiresIn: '24h' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
@@ -26,25 +37,171 @@ function verifyToken(token) {
   }
 }
 
-// Authentication middleware
-function authMiddleware(req, res, next) {
+// Short-lived token proving the password step of a two-step login succeeded
+function generateChallengeToken(user) {
+  return jwt.sign(
+    { id: user.id, purpose: 'two_factor' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+function verifyChallengeToken(token) {
+  const payload = verifyToken(token);
+  return payload && payload.purpose === 'two_factor' ? payload : null;
+}
+
+// Routes a user may still call while they have a temporary password
+const PASSWORD_CHANGE_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/logout',
+  'PUT /api/auth/password'
+];
+
+// Routes a user may still call while two-factor enrollment is enforced but not done
+const TWO_FACTOR_SETUP_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/logout',
+  'GET /api/auth/2fa',
+  'POST /api/auth/2fa/setup',
+  'POST /api/auth/2fa/enable'
+];
+
+function routeKey(req) {
+  return `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+}
+
+// Resolve the caller from "Authorization: Bearer <jwt|api key>" or "X-API-Key: <api key>"
+// Returns { principal } on success or { status, error, code } on failure
+async function authenticate(req) {
   const authHeader = req.headers.authorization;
+  const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const apiKeyValue = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+  if (apiKeyValue) {
+    const apiKey = await verifyApiKey(apiKeyValue);
+
+    if (!apiKey) {
+      return { status: 401, error: 'Invalid or revoked API key' };
+    }
+
+    // API keys are read-only
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return { status: 403, error: 'API keys can only be used for read requests' };
+    }
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Please log in to continue' });
+    return {
+      principal: {
+        id: null,
+        isApiKey: true,
+        apiKeyId: apiKey.id,
+        name: apiKey.name,
+        role: null,
+        scopes: apiKey.scopes
+      }
+    };
   }
 
-  const token = authHeader.split(' ')[1];
-  const payload = verifyToken(token);
+  if (!bearer) {
+    return { status: 401, error: 'Please log in to continue' };
+  }
+
+  const payload = verifyToken(bearer);
+
+  if (!payload || !payload.sid) {
+    return { status: 401, error: 'Your session has expired. Please log in again.' };
+  }
+
+  // Session must still exist - logout, password change and deactivation revoke it
+  const session = await db.getActiveSession(payload.sid);
+
+  if (!session || session.userId !== payload.id) {
+    return { status: 401, error: 'Your session has expired. Please log in again.' };
+  }
+
+  // Temporary password (new account or admin reset) - nothing else until it's changed
+  // A super admin can require two-factor - until enrolled, only setup is allowed
+  // One gate at a time, password first: each gate blocks the route that clears the other
+  if (session.mustChangePassword) {
+    if (!PASSWORD_CHANGE_ROUTES.includes(routeKey(req))) {
+      return {
+        status: 403,
+        error: 'You must change your password before continuing.',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      };
+    }
+  } else if (session.totpRequired && !session.totpEnabled && !TWO_FACTOR_SETUP_ROUTES.includes(routeKey(req))) {
+    return {
+      status: 403,
+      error: 'Two-factor authentication is required for your account. Please set it up to continue.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    };
+  }
+
+  // Role and email come from the database so changes apply immediately
+  return {
+    principal: {
+      ...payload,
+      email: session.email,
+      role: session.role
+    }
+  };
+}
+
+// Authentication middleware - accepts user sessions and API keys
+async function authMiddleware(req, res, next) {
+  const { principal, status, error, code } = await authenticate(req);
+
+  if (!principal) {
+    return res.status(status).json(code ? { error, code } : { error });
+  }
+
+  req.user = principal;
+  next();
+}
+
+// For public routes that show more to authenticated callers (e.g. inactive items)
+// Attaches req.user when valid credentials are sent; otherwise carries on as anonymous
+async function optionalAuth(req, res, next) {
+  if (!req.headers.authorization && !req.headers['x-api-key']) {
+    return next();
+  }
+
+  const { principal } = await authenticate(req);
 
-  if (!payload) {
-    return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+  if (principal) {
+    req.user = principal;
   }
 
-  req.user = payload;
   next();
 }
 
+// Use after authMiddleware on routes that act on the logged-in user's own account
+function requireUser(req, res, next) {
+  if (!req.user || req.user.isApiKey) {
+    return res.status(403).json({ error: 'This action requires a user login' });
+  }
+  next();
+}
+
+// Permission guard - use after authMiddleware
+// Passes if the user's role (or the API key's scopes) grants any of the listed permissions
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Please log in to continue' });
+    }
+
+    const allowed = permissions.some(permission => principalCan(req.user, permission));
+
+    if (!allowed) {
+      return res.status(403).json({ error: "You don't have permission to access this resource" });
+    }
+
+    next();
+  };
+}
+
 // Hash password
 async function hashPassword(password) {
   const salt = await bcrypt.genSalt(10);
@@ -56,31 +213,62 @@ async function comparePassword(password, hash) {
   return bcrypt.compare(password, hash);
 }
 
-// Verify credentials against database
-async function verifyCredentials(email, password) {
+// Verify credentials against database, with brute-force protection
+// Returns { user } on success, or { status, error, retryAfter } on failure
+async function verifyCredentials(email, password, req) {
   const user = await db.getUserByEmail(email);
-  
-  if (!user) {
-    return null;
+
+  const blocked = await checkLoginAllowed(user, req.ip);
+  if (blocked) {
+    await db.recordLoginAttempt({ email, ipAddress: req.ip, success: false });
+    return blocked;
   }
 
-  const isValid = await comparePassword(password, user.passwordHash);
-  
+  const isValid = user ? await comparePassword(password, user.passwordHash) : false;
+
   if (!isValid) {
-    return null;
+    const locked = await recordFailedLogin(req, email, user);
+
+    if (locked) {
+      return {
+        status: 423,
+        error: `Too many failed login attempts. This account is locked for ${LOGIN_LOCKOUT_MINUTES} minutes.`,
+        retryAfter: LOGIN_LOCKOUT_MINUTES * 60
+      };
+    }
+
+    return { status: 401, error: 'The email or password you entered is incorrect' };
+  }
+
+  // With two-factor on, the login only counts as successful after the second step
+  if (!user.totpEnabled) {
+    await completeLogin(req, user);
   }
 
+  return { user };
+}
+
+// Mark a login as fully successful (after password and, if enabled, two-factor)
+async function completeLogin(req, user) {
+  await recordSuccessfulLogin(req, user.email, user);
+
   // Update last login
   await db.updateLastLogin(user.id);
-
-  return user;
 }
 
 module.exports = {
+  ACCESS_TOKEN_TTL,
+  TWO_FACTOR_CHALLENGE_TTL,
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   authMiddleware,
+  optionalAuth,
+  requireUser,
+  requirePermission,
   hashPassword,
   comparePassword,
-  verifyCredentials
+  verifyCredentials,
+  completeLogin
 };
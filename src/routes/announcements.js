@@ -1,32 +1,127 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { validate, announcementSchema } = require('../lib/validation');
-const { authMiddleware } = require('../middleware/auth');
+const { validate, announcementSchema, announcementQuerySchema } = require('../lib/validation');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { FEED_SIZE, apiBaseUrl, siteLink, sendFeed } = require('../lib/feeds');
+const { isPublished } = require('../lib/workflow');
+const { recordRevision } = require('../lib/revisions');
+const { saveWithSlug, recordSlugChange, findBySlug } = require('../lib/slugs');
+const { negotiateLocale, localize, localizeItem } = require('../lib/translations');
+const { workflowRoutes } = require('./workflow');
+const { revisionRoutes } = require('./revisions');
+const { translationRoutes } = require('./translations');
 const db = require('../lib/db');
 
 const router = express.Router();
 
-// GET /api/announcements - Get all announcements
-router.get('/', async (req, res) => {
+// Live - published, active and inside its publishing window - anything else needs announcements:read
+function isVisible(announcement, req) {
+  if (principalCan(req.user, 'announcements:read')) return true;
+
+  const now = new Date();
+  return isPublished(announcement) &&
+    announcement.isActive &&
+    (!announcement.publishAt || new Date(announcement.publishAt) <= now) &&
+    (!announcement.expiresAt || new Date(announcement.expiresAt) > now);
+}
+
+// GET /api/announcements - List announcements (paginated, filterable, sortable)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const announcements = await db.getAnnouncements();
-    res.json(announcements);
+    const validation = validate(announcementQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    // Unpublished, inactive, scheduled and expired announcements are only for admins and API keys with read access
+    const canReadHidden = principalCan(req.user, 'announcements:read');
+    const filters = {
+      ...validation.data,
+      workflowStatus: canReadHidden ? validation.data.workflowStatus : 'published',
+      includeInactive: Boolean(validation.data.includeInactive) && canReadHidden,
+      status: canReadHidden ? validation.data.status : 'live'
+    };
+    const { announcements, total } = await db.getAnnouncements(filters);
+    res.json(paginated(await localize('announcement', announcements, negotiateLocale(req, res)), total, filters));
   } catch (error) {
     console.error('Get announcements error:', error);
     res.status(500).json({ error: 'Could not load announcements. Please try again.' });
   }
 });
 
+// Latest live announcements as an RSS or Atom feed
+function announcementsFeed(format) {
+  return async (req, res) => {
+    try {
+      const { announcements: latest } = await db.getAnnouncements({ sort: '-createdAt', page: 1, limit: FEED_SIZE });
+      const announcements = await localize('announcement', latest, negotiateLocale(req, res));
+
+      sendFeed(res, format, {
+        title: "Winners' Chapel Announcements",
+        description: "Latest announcements from Winners' Chapel",
+        link: siteLink('/announcements'),
+        selfUrl: `${apiBaseUrl(req)}${req.originalUrl.split('?')[0]}`,
+        items: announcements.map(announcement => ({
+          id: announcement.id,
+          title: announcement.title,
+          link: siteLink(`/announcements#${announcement.id}`),
+          summary: announcement.description,
+          published: announcement.publishAt || announcement.createdAt,
+          updated: announcement.updatedAt || announcement.createdAt
+        }))
+      });
+    } catch (error) {
+      console.error('Get announcements feed error:', error);
+      res.status(500).json({ error: 'Could not load announcements feed. Please try again.' });
+    }
+  };
+}
+
+// GET /api/announcements/feed.rss - RSS 2.0 feed
+router.get('/feed.rss', announcementsFeed('rss'));
+
+// GET /api/announcements/feed.atom - Atom 1.0 feed
+router.get('/feed.atom', announcementsFeed('atom'));
+
+// GET /api/announcements/by-slug/:slug - Get single announcement by its permalink
+// A previous slug redirects (301) to the current one
+router.get('/by-slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const { item: announcement, redirected } = await findBySlug('announcements', req.params.slug);
+
+    if (!announcement || !isVisible(announcement, req)) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    if (redirected) {
+      return res.redirect(301, `${req.baseUrl}/by-slug/${announcement.slug}`);
+    }
+
+    res.json(await localizeItem('announcement', announcement, negotiateLocale(req, res)));
+  } catch (error) {
+    console.error('Get announcement by slug error:', error);
+    res.status(500).json({ error: 'Could not load announcement. Please try again.' });
+  }
+});
+
 // GET /api/announcements/:id - Get single announcement
-router.get('/:id', async (req, res) => {
+// Unpublished, inactive, scheduled and expired announcements are only visible with announcements:read
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const announcement = await db.getAnnouncementById(req.params.id);
 
-    if (!announcement) {
+    if (!announcement || !isVisible(announcement, req)) {
       return res.status(404).json({ error: 'Announcement not found' });
     }
 
-    res.json(announcement);
+    res.json(await localizeItem('announcement', announcement, negotiateLocale(req, res)));
   } catch (error) {
     console.error('Get announcement error:', error);
     res.status(500).json({ error: 'Could not load announcement. Please try again.' });
@@ -34,7 +129,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/announcements - Create announcement (protected)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('announcements:write'), async (req, res) => {
   try {
     const validation = validate(announcementSchema, req.body);
 
@@ -45,6 +140,14 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
+    // New announcements start unpinned
+    if (validation.data.pinnedUntil && !validation.data.isPinned) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'pinnedUntil', message: 'Only a pinned announcement can have pinnedUntil' }]
+      });
+    }
+
     const now = new Date().toISOString();
     const announcement = {
       id: `announcement-${uuidv4()}`,
@@ -53,9 +156,25 @@ router.post('/', authMiddleware, async (req, res) => {
       updatedAt: now
     };
 
-    await db.createAnnouncement(announcement);
+    const { saved: created, error: slugError } = await saveWithSlug('announcements', validation.data, null,
+      slug => db.createAnnouncement({ ...announcement, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
+
+    await recordRevision(req, 'announcement', created);
 
-    res.status(201).json(announcement);
+    await recordAudit(req, {
+      action: 'announcement.created',
+      entityType: 'announcement',
+      entityId: announcement.id,
+      after: created
+    });
+
+    res.status(201).json({ ...announcement, slug: created.slug });
   } catch (error) {
     console.error('Create announcement error:', error);
     res.status(500).json({ error: 'Could not create announcement. Please try again.' });
@@ -63,7 +182,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/announcements/:id - Update announcement (protected)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('announcements:write'), async (req, res) => {
   try {
     const validation = validate(announcementSchema, req.body);
 
@@ -74,12 +193,58 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    const updated = await db.updateAnnouncement(req.params.id, validation.data);
+    const existing = await db.getAnnouncementById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    // The schema only compares the two when both are sent - check against the stored value too
+    const { publishAt, expiresAt } = validation.data;
+    const effectivePublishAt = publishAt !== undefined ? publishAt : existing.publishAt;
+    const effectiveExpiresAt = expiresAt !== undefined ? expiresAt : existing.expiresAt;
+
+    if (effectivePublishAt && effectiveExpiresAt && new Date(effectiveExpiresAt) <= new Date(effectivePublishAt)) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'expiresAt', message: 'Expiry must be after the publish time' }]
+      });
+    }
+
+    // Likewise a pin end date needs the announcement to stay pinned
+    const { isPinned, pinnedUntil } = validation.data;
+    const effectiveIsPinned = isPinned !== undefined ? isPinned : existing.isPinned;
+
+    if (pinnedUntil && !effectiveIsPinned) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'pinnedUntil', message: 'Only a pinned announcement can have pinnedUntil' }]
+      });
+    }
+
+    const { saved: updated, error: slugError } = await saveWithSlug('announcements', validation.data, existing,
+      slug => db.updateAnnouncement(req.params.id, { ...validation.data, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
 
     if (!updated) {
       return res.status(404).json({ error: 'Announcement not found' });
     }
 
+    await recordRevision(req, 'announcement', updated, { before: existing });
+    await recordSlugChange('announcements', updated.id, existing.slug, updated.slug);
+
+    await recordAudit(req, {
+      action: 'announcement.updated',
+      entityType: 'announcement',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
     res.json(updated);
   } catch (error) {
     console.error('Update announcement error:', error);
@@ -87,22 +252,57 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// DELETE /api/announcements/:id - Delete announcement (protected)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/announcements/:id - Move an announcement to the trash (protected)
+// It can be restored from /api/trash until it's purged
+router.delete('/:id', authMiddleware, requirePermission('announcements:write'), async (req, res) => {
   try {
-    const deleted = await db.deleteAnnouncement(req.params.id);
+    const existing = await db.getAnnouncementById(req.params.id);
+    const deleted = await db.deleteAnnouncement(req.params.id, req.user.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Announcement not found' });
     }
 
-    res.json({ success: true, message: 'Announcement deleted successfully' });
+    await recordAudit(req, {
+      action: 'announcement.deleted',
+      entityType: 'announcement',
+      entityId: req.params.id,
+      before: existing
+    });
+
+    res.json({ success: true, message: 'Announcement moved to trash' });
   } catch (error) {
     console.error('Delete announcement error:', error);
     res.status(500).json({ error: 'Could not delete announcement. Please try again.' });
   }
 });
 
+// POST /api/announcements/:id/submit|approve|reject|archive - Review workflow (protected)
+router.use(workflowRoutes({
+  resource: 'announcements',
+  entityType: 'announcement',
+  label: 'Announcement',
+  getById: db.getAnnouncementById
+}));
+
+// GET /api/announcements/:id/revisions[/:rev], POST .../:rev/restore - Revision history (protected)
+router.use(revisionRoutes({
+  resource: 'announcements',
+  entityType: 'announcement',
+  label: 'Announcement',
+  getById: db.getAnnouncementById,
+  restore: db.restoreAnnouncement,
+  schema: announcementSchema
+}));
+
+// GET /api/announcements/translations/missing, GET|PUT|DELETE /api/announcements/:id/translations[/:locale] - Translations (protected)
+router.use(translationRoutes({
+  resource: 'announcements',
+  entityType: 'announcement',
+  label: 'Announcement',
+  getById: db.getAnnouncementById
+}));
+
 module.exports = router;
 
 
@@ -0,0 +1,99 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { validate, apiKeySchema } = require('../lib/validation');
+const { authMiddleware, requireUser, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../lib/permissions');
+const { generateApiKey } = require('../lib/apiKeys');
+const { recordAudit } = require('../lib/audit');
+const db = require('../lib/db');
+
+const router = express.Router();
+
+// All routes require a logged-in super admin
+router.use(authMiddleware);
+router.use(requireUser);
+router.use(requirePermission('api_keys:manage'));
+
+// GET /api/api-keys - List API keys (never includes the key itself)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await db.getApiKeys();
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Could not load API keys' });
+  }
+});
+
+// GET /api/api-keys/scopes - Scopes that can be granted
+router.get('/scopes', (req, res) => {
+  res.json(API_KEY_SCOPES);
+});
+
+// POST /api/api-keys - Create an API key; the full key is only returned here
+router.post('/', async (req, res) => {
+  try {
+    const validation = validate(apiKeySchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const { name, scopes, expiresAt } = validation.data;
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await db.createApiKey({
+      id: `apikey-${uuidv4()}`,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.created',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this key now - it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Could not create API key' });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await db.revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'api_key.revoked',
+      entityType: 'api_key',
+      entityId: req.params.id
+    });
+
+    res.json({ success: true, message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Could not revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { validate, auditQuerySchema } = require('../lib/validation');
+const { paginated } = require('../lib/pagination');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const db = require('../lib/db');
+
+const router = express.Router();
+
+// All routes require authentication and audit permission (super admin)
+router.use(authMiddleware);
+router.use(requirePermission('audit:read'));
+
+// GET /api/audit - Filterable audit log
+router.get('/', async (req, res) => {
+  try {
+    const validation = validate(auditQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const filters = validation.data;
+    const { entries, total } = await db.getAuditEntries(filters);
+
+    res.json(paginated(entries, total, filters));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Could not load audit log' });
+  }
+});
+
+module.exports = router;
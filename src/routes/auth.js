@@ -1,10 +1,79 @@
 const express = require('express');
-const { validate, loginSchema } = require('../lib/validation');
-const { generateToken, verifyCredentials, authMiddleware, hashPassword, comparePassword } = require('../middleware/auth');
+const { v4: uuidv4 } = require('uuid');
+const QRCode = require('qrcode');
+const {
+  validate,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  acceptInvitationSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema
+} = require('../lib/validation');
+const {
+  ACCESS_TOKEN_TTL,
+  TWO_FACTOR_CHALLENGE_TTL,
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyCredentials,
+  completeLogin,
+  authMiddleware,
+  requireUser,
+  hashPassword,
+  comparePassword
+} = require('../middleware/auth');
+const { getPermissions } = require('../lib/permissions');
+const { startSession, refreshSession } = require('../lib/sessions');
+const { randomToken, hashToken } = require('../lib/tokens');
+const { sendMail } = require('../lib/mailer');
+const { passwordResetEmail } = require('../lib/emails');
+const { checkLoginAllowed, recordFailedLogin } = require('../lib/loginProtection');
+const { recordAudit } = require('../lib/audit');
+const totp = require('../lib/totp');
 const db = require('../lib/db');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+
+// Response body for a completed login
+function sessionResponse(user, { token, refreshToken }) {
+  return {
+    success: true,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      mustChangePassword: user.mustChangePassword,
+      twoFactorEnabled: user.totpEnabled,
+      twoFactorSetupRequired: user.totpRequired && !user.totpEnabled
+    },
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Send a blocked/failed login result from verifyCredentials or checkLoginAllowed
+function sendLoginFailure(res, { status, error, retryAfter }) {
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return res.status(status).json({ error, retryAfter });
+}
+
+function generateRecoveryCodes() {
+  const codes = totp.generateRecoveryCodes();
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(totp.normalizeRecoveryCode(code)))
+  };
+}
+
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
   try {
@@ -18,27 +87,34 @@ router.post('/login', async (req, res) => {
     }
 
     const { email, password } = validation.data;
-    const user = await verifyCredentials(email, password);
+    const result = await verifyCredentials(email, password, req);
 
-    if (!user) {
-      return res.status(401).json({
-        error: 'The email or password you entered is incorrect'
+    if (!result.user) {
+      return sendLoginFailure(res, result);
+    }
+
+    const { user } = result;
+
+    // Two-step login - the password was right, now ask for the authenticator code
+    if (user.totpEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL
       });
     }
 
-    const token = generateToken(user);
+    const session = await startSession(user, req);
 
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        mustChangePassword: user.mustChangePassword
-      },
-      token
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.login',
+      entityType: 'user',
+      entityId: user.id
     });
+
+    res.json(sessionResponse(user, session));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -47,13 +123,367 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout
-router.post('/logout', authMiddleware, (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
+// POST /api/auth/login/2fa - Second login step with an authenticator or recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const validation = validate(twoFactorLoginSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = validation.data;
+    const challenge = verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({ error: 'Your login attempt has expired. Please log in again.' });
+    }
+
+    const user = await db.getUserById(challenge.id);
+    const twoFactor = await db.getUserTwoFactor(challenge.id);
+
+    if (!user || !user.isActive || !twoFactor?.totpEnabled) {
+      return res.status(401).json({ error: 'Your login attempt has expired. Please log in again.' });
+    }
+
+    const blocked = await checkLoginAllowed(user, req.ip);
+    if (blocked) {
+      return sendLoginFailure(res, blocked);
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+
+    if (code) {
+      const step = totp.verifyCode(twoFactor.totpSecret, code, twoFactor.totpLastUsedStep);
+      verified = step !== null && await db.claimTotpStep(user.id, step);
+    } else {
+      verified = await db.consumeRecoveryCode(user.id, hashToken(totp.normalizeRecoveryCode(recoveryCode)));
+      usedRecoveryCode = verified;
+    }
+
+    if (!verified) {
+      const locked = await recordFailedLogin(req, user.email, user);
+      return res.status(locked ? 423 : 401).json({
+        error: locked
+          ? 'Too many failed login attempts. This account is temporarily locked.'
+          : 'The authentication code is incorrect'
+      });
+    }
+
+    await completeLogin(req, user);
+    const session = await startSession(user, req);
+    const response = sessionResponse(user, session);
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.login',
+      entityType: 'user',
+      entityId: user.id,
+      after: { twoFactor: usedRecoveryCode ? 'recovery_code' : 'totp' }
+    });
+
+    if (usedRecoveryCode) {
+      response.remainingRecoveryCodes = await db.countRemainingRecoveryCodes(user.id);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const refreshed = await refreshSession(refreshToken);
+
+    if (!refreshed) {
+      return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+    }
+
+    res.json({
+      success: true,
+      token: refreshed.token,
+      refreshToken: refreshed.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a one-time password reset link
+router.post('/forgot-password', async (req, res) => {
+  // Same response whether or not the account exists, so emails can't be probed
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
+  try {
+    const validation = validate(forgotPasswordSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const user = await db.getUserByEmail(validation.data.email);
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const token = randomToken();
+
+    await db.createPasswordResetToken({
+      id: `reset-${uuidv4()}`,
+      userId: user.id,
+      tokenHash: hashToken(token),
+      requestedIp: req.ip,
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    // Not awaited - waiting on the mail server would make known emails answer slower
+    sendMail({
+      to: user.email,
+      ...passwordResetEmail({ name: user.name, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+    }).catch(mailError => console.error('Password reset email error:', mailError));
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const validation = validate(resetPasswordSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const { token, newPassword } = validation.data;
+    const resetToken = await db.consumePasswordResetToken(hashToken(token));
+
+    if (!resetToken) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const user = await db.getUserById(resetToken.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await db.updateUserPassword(user.id, passwordHash);
+
+    // Whoever had the old password is signed out everywhere
+    await db.revokeUserSessions(user.id);
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.password_reset',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({ success: true, message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Could not reset password. Please try again.' });
+  }
+});
+
+// GET /api/auth/accept-invite?token= - Look up an invitation before accepting it
+router.get('/accept-invite', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const invitation = await db.getInvitationByTokenHash(hashToken(String(token)));
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Could not load invitation' });
+  }
+});
+
+// POST /api/auth/accept-invite - Create the invited account with the invitee's own password
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const validation = validate(acceptInvitationSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const { token, password, name } = validation.data;
+    const invitation = await db.getInvitationByTokenHash(hashToken(token));
+
+    if (!invitation) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    const existingUser = await db.getUserByEmail(invitation.email);
+    if (existingUser) {
+      return res.status(400).json({ error: 'An account with this email already exists' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    let user;
+    try {
+      user = await db.createUser({
+        id: `user-${uuidv4()}`,
+        email: invitation.email,
+        passwordHash,
+        name: name || invitation.name,
+        role: invitation.role,
+        mustChangePassword: false // They chose this password themselves
+      });
+    } catch (createError) {
+      // Unique violation - a deactivated account already uses this email
+      if (createError.code === '23505') {
+        return res.status(400).json({ error: 'An account with this email already exists' });
+      }
+      throw createError;
+    }
+
+    await db.markInvitationAccepted(invitation.id, user.id);
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'invitation.accepted',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      after: { userId: user.id, email: user.email, role: user.role }
+    });
+
+    const session = await startSession(user, req);
+
+    res.status(201).json(sessionResponse(user, session));
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Could not accept invitation. Please try again.' });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', authMiddleware, requireUser, async (req, res) => {
+  try {
+    await db.revokeSession(req.user.sid);
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      entityType: 'session',
+      entityId: req.user.sid
+    });
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Could not log out. Please try again.' });
+  }
+});
+
+// GET /api/auth/sessions - List current user's active sessions (devices)
+router.get('/sessions', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const sessions = await db.getActiveSessionsByUser(req.user.id);
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Could not load sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions - Sign out all other devices
+router.delete('/sessions', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const revoked = await db.revokeUserSessions(req.user.id, req.user.sid);
+
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { revoked }
+    });
+
+    res.json({ success: true, message: `Signed out of ${revoked} other session(s)` });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Could not sign out other sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out a single device
+router.delete('/sessions/:id', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const session = await db.getSessionById(req.params.id);
+
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await db.revokeSession(session.id);
+
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      entityType: 'session',
+      entityId: session.id
+    });
+
+    res.json({ success: true, message: 'Session signed out successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Could not sign out session' });
+  }
 });
 
 // GET /api/auth/me - Get current user info
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', authMiddleware, requireUser, async (req, res) => {
   try {
     const user = await db.getUserById(req.user.id);
     
@@ -66,7 +496,10 @@ router.get('/me', authMiddleware, async (req, res) => {
       email: user.email,
       name: user.name,
       role: user.role,
-      mustChangePassword: user.mustChangePassword
+      permissions: getPermissions(user.role),
+      mustChangePassword: user.mustChangePassword,
+      twoFactorEnabled: user.totpEnabled,
+      twoFactorSetupRequired: user.totpRequired && !user.totpEnabled
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -75,7 +508,7 @@ router.get('/me', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/auth/profile - Update current user's profile (email, name)
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authMiddleware, requireUser, async (req, res) => {
   try {
     const { email, name } = req.body;
     
@@ -87,14 +520,23 @@ router.put('/profile', authMiddleware, async (req, res) => {
       }
     }
 
+    const existing = await db.getUserById(req.user.id);
     const updated = await db.updateUser(req.user.id, { email, name });
     
     if (!updated) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Generate new token with updated email
-    const token = generateToken(updated);
+    await recordAudit(req, {
+      action: 'user.profile_updated',
+      entityType: 'user',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
+    // Generate new token with updated email for the same session
+    const token = generateToken(updated, req.user.sid);
 
     res.json({
       success: true,
@@ -113,7 +555,7 @@ router.put('/profile', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/auth/password - Change current user's password
-router.put('/password', authMiddleware, async (req, res) => {
+router.put('/password', authMiddleware, requireUser, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -143,6 +585,15 @@ router.put('/password', authMiddleware, async (req, res) => {
     const passwordHash = await hashPassword(newPassword);
     await db.updateUserPassword(user.id, passwordHash);
 
+    // Sign out every other device that knew the old password
+    await db.revokeUserSessions(user.id, req.user.sid);
+
+    await recordAudit(req, {
+      action: 'auth.password_changed',
+      entityType: 'user',
+      entityId: user.id
+    });
+
     res.json({ success: true, message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -150,4 +601,192 @@ router.put('/password', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/auth/2fa - Current user's two-factor status
+router.get('/2fa', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: user.totpEnabled,
+      required: user.totpRequired,
+      remainingRecoveryCodes: user.totpEnabled ? await db.countRemainingRecoveryCodes(user.id) : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Could not load two-factor status' });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment: new secret plus QR code for the authenticator app
+router.post('/2fa/setup', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const secret = totp.generateSecret();
+    const stored = await db.setPendingTotpSecret(req.user.id, secret);
+
+    if (!stored) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const otpauthUrl = totp.provisioningUri(secret, req.user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Could not start two-factor setup' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code; returns recovery codes once
+router.post('/2fa/enable', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const validation = validate(twoFactorCodeSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const twoFactor = await db.getUserTwoFactor(req.user.id);
+
+    if (!twoFactor) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (twoFactor.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!twoFactor.totpSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(twoFactor.totpSecret, validation.data.code);
+
+    if (step === null) {
+      return res.status(400).json({ error: 'The authentication code is incorrect' });
+    }
+
+    await db.enableTotp(req.user.id, step);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.replaceRecoveryCodes(req.user.id, hashes);
+
+    await recordAudit(req, {
+      action: 'user.two_factor_enabled',
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Could not enable two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off two-factor (password and current code required)
+router.post('/2fa/disable', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const validation = validate(disableTwoFactorSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const user = await db.getUserByEmail(req.user.email);
+    const twoFactor = await db.getUserTwoFactor(req.user.id);
+
+    if (!user || !twoFactor) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!twoFactor.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (twoFactor.totpRequired) {
+      return res.status(403).json({ error: 'An administrator requires two-factor authentication for your account' });
+    }
+
+    const isValid = await comparePassword(validation.data.password, user.passwordHash);
+
+    if (!isValid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const step = totp.verifyCode(twoFactor.totpSecret, validation.data.code, twoFactor.totpLastUsedStep);
+
+    if (step === null || !(await db.claimTotpStep(req.user.id, step))) {
+      return res.status(400).json({ error: 'The authentication code is incorrect' });
+    }
+
+    await db.disableTotp(req.user.id);
+
+    await recordAudit(req, {
+      action: 'user.two_factor_disabled',
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Could not disable two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (current code required)
+router.post('/2fa/recovery-codes', authMiddleware, requireUser, async (req, res) => {
+  try {
+    const validation = validate(twoFactorCodeSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validation.errors
+      });
+    }
+
+    const twoFactor = await db.getUserTwoFactor(req.user.id);
+
+    if (!twoFactor?.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = totp.verifyCode(twoFactor.totpSecret, validation.data.code, twoFactor.totpLastUsedStep);
+
+    if (step === null || !(await db.claimTotpStep(req.user.id, step))) {
+      return res.status(400).json({ error: 'The authentication code is incorrect' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.replaceRecoveryCodes(req.user.id, hashes);
+
+    await recordAudit(req, {
+      action: 'user.recovery_codes_regenerated',
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Could not generate recovery codes' });
+  }
+});
+
 module.exports = router;
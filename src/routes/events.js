@@ -1,37 +1,56 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
-const { validate, eventSchema } = require('../lib/validation');
-const { authMiddleware } = require('../middleware/auth');
+const {
+  validate,
+  eventSchema,
+  eventQuerySchema,
+  eventOccurrenceSchema,
+  upcomingEventsQuerySchema
+} = require('../lib/validation');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { isOccurrence, describeWhen } = require('../lib/recurrence');
+const { buildCalendar } = require('../lib/ical');
+const { FEED_SIZE, apiBaseUrl, siteLink, absoluteUrl, sendFeed } = require('../lib/feeds');
+const { isPublished } = require('../lib/workflow');
+const { recordRevision } = require('../lib/revisions');
+const { saveWithSlug, recordSlugChange, findBySlug } = require('../lib/slugs');
+const { negotiateLocale, localize, localizeItem } = require('../lib/translations');
+const { releaseImage } = require('../lib/images');
+const { promoteWaitlist } = require('../lib/registrations');
+const { workflowRoutes } = require('./workflow');
+const { revisionRoutes } = require('./revisions');
+const { translationRoutes } = require('./translations');
+const registrationRoutes = require('./registrations');
+const ticketRoutes = require('./tickets');
 const db = require('../lib/db');
 
 const router = express.Router();
 
-// Helper function to delete old image file
-function deleteImageFile(imageUrl) {
-  if (!imageUrl || !imageUrl.startsWith('/uploads/')) {
-    return;
-  }
-  
+// GET /api/events - List events (paginated, filterable, sortable)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const filePath = path.join(__dirname, '..', '..', 'public', imageUrl);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`Deleted old image: ${filePath}`);
+    console.log('🌐 [API ROUTE] GET /api/events - Fetching events:', req.query);
+    const validation = validate(eventQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
     }
-  } catch (error) {
-    console.error(`Error deleting image file ${imageUrl}:`, error);
-    // Don't throw - image deletion failure shouldn't break the update
-  }
-}
 
-// GET /api/events - Get all events
-router.get('/', async (req, res) => {
-  try {
-    console.log('🌐 [API ROUTE] GET /api/events - Fetching all events');
-    const events = await db.getEvents();
-    console.log('✅ [API ROUTE] GET /api/events - Returning', events.length, 'events');
+    // Unpublished and inactive items are only for admins and API keys with read access
+    const canReadHidden = principalCan(req.user, 'events:read');
+    const filters = {
+      ...validation.data,
+      workflowStatus: canReadHidden ? validation.data.workflowStatus : 'published',
+      includeInactive: Boolean(validation.data.includeInactive) && canReadHidden
+    };
+    const { events, total } = await db.getEvents(filters);
+    console.log('✅ [API ROUTE] GET /api/events - Returning', events.length, 'of', total, 'events');
     events.forEach((event, idx) => {
       console.log(`📤 [API ROUTE] Sending event ${idx + 1}:`, {
         id: event.id,
@@ -40,20 +59,178 @@ router.get('/', async (req, res) => {
         imageUrlLength: event.imageUrl?.length
       });
     });
-    res.json(events);
+    res.json(paginated(await localize('event', events, negotiateLocale(req, res)), total, filters));
   } catch (error) {
     console.error('❌ [API ROUTE] Get events error:', error);
     res.status(500).json({ error: 'Could not load events. Please try again.' });
   }
 });
 
+// Find a recurring event and check the date is one of its occurrences
+// Returns { event } or { status, error }
+async function findOccurrence(eventId, occurrenceDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate)) {
+    return { status: 400, error: 'Occurrence date must be YYYY-MM-DD' };
+  }
+
+  const event = await db.getEventById(eventId);
+  if (!event) {
+    return { status: 404, error: 'Event not found' };
+  }
+  if (!event.recurrence) {
+    return { status: 400, error: 'This event does not repeat' };
+  }
+  if (!isOccurrence(event.date, event.recurrence, occurrenceDate)) {
+    return { status: 404, error: 'This event does not take place on that date' };
+  }
+
+  return { event };
+}
+
+// GET /api/events/upcoming - Next active occurrences, recurring events included
+router.get('/upcoming', async (req, res) => {
+  try {
+    const validation = validate(upcomingEventsQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const events = await db.getUpcomingEvents(validation.data.limit);
+    res.json(await localize('event', events, negotiateLocale(req, res)));
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get upcoming events error:', error);
+    res.status(500).json({ error: 'Could not load events. Please try again.' });
+  }
+});
+
+// Overrides for the recurring events in a list, keyed by event id
+async function overridesByEvent(events) {
+  const seriesIds = events.filter(event => event.recurrence).map(event => event.id);
+  const overrides = await db.getEventOccurrenceOverrides(seriesIds);
+
+  const byEvent = new Map();
+  for (const override of overrides) {
+    if (!byEvent.has(override.eventId)) byEvent.set(override.eventId, []);
+    byEvent.get(override.eventId).push(override);
+  }
+  return byEvent;
+}
+
+// GET /api/events/calendar.ics - Subscribable iCalendar feed of all published events
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const events = await localize('event', await db.getCalendarEvents(), negotiateLocale(req, res));
+    const calendar = buildCalendar(events, await overridesByEvent(events));
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="calendar.ics"',
+      'Cache-Control': 'public, max-age=900'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get calendar feed error:', error);
+    res.status(500).json({ error: 'Could not load calendar. Please try again.' });
+  }
+});
+
+// Unpublished events are only visible with events:read
+function canViewEvent(req, event) {
+  return Boolean(event) && (isPublished(event) || principalCan(req.user, 'events:read'));
+}
+
+// GET /api/events/:id.ics - Download a single event for "add to calendar"
+router.get('/:id.ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await db.getEventById(req.params.id);
+
+    if (!canViewEvent(req, event)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const localized = await localizeItem('event', event, negotiateLocale(req, res));
+    const calendar = buildCalendar([localized], await overridesByEvent([event]), { name: localized.title });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${event.id}.ics"`
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get event calendar error:', error);
+    res.status(500).json({ error: 'Could not load calendar. Please try again.' });
+  }
+});
+
+// Latest active events as an RSS or Atom feed
+function eventsFeed(format) {
+  return async (req, res) => {
+    try {
+      const { events: latest } = await db.getEvents({ sort: '-createdAt', page: 1, limit: FEED_SIZE });
+      const events = await localize('event', latest, negotiateLocale(req, res));
+
+      sendFeed(res, format, {
+        title: "Winners' Chapel Events",
+        description: "Upcoming events at Winners' Chapel",
+        link: siteLink('/events'),
+        selfUrl: `${apiBaseUrl(req)}${req.originalUrl.split('?')[0]}`,
+        items: events.map(event => ({
+          id: event.id,
+          title: event.title,
+          link: siteLink(`/events#${event.id}`),
+          summary: `${describeWhen(event)}\n\n${event.description}`,
+          published: event.createdAt,
+          updated: event.updatedAt || event.createdAt,
+          imageUrl: absoluteUrl(req, event.imageUrl)
+        }))
+      });
+    } catch (error) {
+      console.error('❌ [API ROUTE] Get events feed error:', error);
+      res.status(500).json({ error: 'Could not load events feed. Please try again.' });
+    }
+  };
+}
+
+// GET /api/events/feed.rss - RSS 2.0 feed
+router.get('/feed.rss', eventsFeed('rss'));
+
+// GET /api/events/feed.atom - Atom 1.0 feed
+router.get('/feed.atom', eventsFeed('atom'));
+
+// GET /api/events/by-slug/:slug - Get single event by its permalink
+// A previous slug redirects (301) to the current one
+router.get('/by-slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    console.log('🌐 [API ROUTE] GET /api/events/by-slug/:slug - Fetching event:', req.params.slug);
+    const { item: event, redirected } = await findBySlug('events', req.params.slug);
+
+    if (!canViewEvent(req, event)) {
+      console.log('❌ [API ROUTE] Event not found:', req.params.slug);
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (redirected) {
+      return res.redirect(301, `${req.baseUrl}/by-slug/${event.slug}`);
+    }
+
+    res.json(await localizeItem('event', event, negotiateLocale(req, res)));
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get event by slug error:', error);
+    res.status(500).json({ error: 'Could not load event. Please try again.' });
+  }
+});
+
 // GET /api/events/:id - Get single event
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     console.log('🌐 [API ROUTE] GET /api/events/:id - Fetching event:', req.params.id);
     const event = await db.getEventById(req.params.id);
 
-    if (!event) {
+    if (!canViewEvent(req, event)) {
       console.log('❌ [API ROUTE] Event not found:', req.params.id);
       return res.status(404).json({ error: 'Event not found' });
     }
@@ -64,7 +241,7 @@ router.get('/:id', async (req, res) => {
       imageUrl: event.imageUrl,
       imageUrlLength: event.imageUrl?.length
     });
-    res.json(event);
+    res.json(await localizeItem('event', event, negotiateLocale(req, res)));
   } catch (error) {
     console.error('❌ [API ROUTE] Get event error:', error);
     res.status(500).json({ error: 'Could not load event. Please try again.' });
@@ -72,7 +249,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/events - Create event (protected)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('events:write'), async (req, res) => {
   try {
     const validation = validate(eventSchema, req.body);
 
@@ -91,9 +268,25 @@ router.post('/', authMiddleware, async (req, res) => {
       updatedAt: now
     };
 
-    await db.createEvent(event);
+    const { saved: created, error: slugError } = await saveWithSlug('events', validation.data, null,
+      slug => db.createEvent({ ...event, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
+
+    await recordRevision(req, 'event', created);
 
-    res.status(201).json(event);
+    await recordAudit(req, {
+      action: 'event.created',
+      entityType: 'event',
+      entityId: event.id,
+      after: created
+    });
+
+    res.status(201).json({ ...event, slug: created.slug });
   } catch (error) {
     console.error('Create event error:', error);
     res.status(500).json({ error: 'Could not create event. Please try again.' });
@@ -101,7 +294,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/events/:id - Update event (protected)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('events:write'), async (req, res) => {
   try {
     const validation = validate(eventSchema, req.body);
 
@@ -112,23 +305,48 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Get existing event to check for old image
     const existing = await db.getEventById(req.params.id);
     if (!existing) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    // If image is being updated, delete the old one
-    if (validation.data.imageUrl && existing.imageUrl && validation.data.imageUrl !== existing.imageUrl) {
-      deleteImageFile(existing.imageUrl);
+    // Fields left out keep their stored value, so check the combination that will be saved
+    const recurrence = validation.data.recurrence !== undefined ? validation.data.recurrence : existing.recurrence;
+    const registration = validation.data.registration !== undefined ? validation.data.registration : existing.registration;
+    if (recurrence && registration) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'registration', message: 'Registration is only available for one-off events' }]
+      });
     }
 
-    const updated = await db.updateEvent(req.params.id, validation.data);
+    // A replaced image is kept - the previous revision still points at it
+    const { saved: updated, error: slugError } = await saveWithSlug('events', validation.data, existing,
+      slug => db.updateEvent(req.params.id, { ...validation.data, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
 
     if (!updated) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
+    await recordRevision(req, 'event', updated, { before: existing });
+    await recordSlugChange('events', updated.id, existing.slug, updated.slug);
+    // A raised capacity lets people in from the waitlist
+    await promoteWaitlist(updated);
+
+    await recordAudit(req, {
+      action: 'event.updated',
+      entityType: 'event',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
     res.json(updated);
   } catch (error) {
     console.error('Update event error:', error);
@@ -136,22 +354,161 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// DELETE /api/events/:id - Delete event (protected)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/events/:id - Move a event to the trash (protected)
+// It can be restored from /api/trash until it's purged
+router.delete('/:id', authMiddleware, requirePermission('events:write'), async (req, res) => {
   try {
-    const deleted = await db.deleteEvent(req.params.id);
+    const existing = await db.getEventById(req.params.id);
+    const deleted = await db.deleteEvent(req.params.id, req.user.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    res.json({ success: true, message: 'Event deleted successfully' });
+    await recordAudit(req, {
+      action: 'event.deleted',
+      entityType: 'event',
+      entityId: req.params.id,
+      before: existing
+    });
+
+    res.json({ success: true, message: 'Event moved to trash' });
   } catch (error) {
     console.error('Delete event error:', error);
     res.status(500).json({ error: 'Could not delete event. Please try again.' });
   }
 });
 
+// PUT /api/events/:id/occurrences/:date - Edit or cancel a single occurrence of a recurring event (protected)
+router.put('/:id/occurrences/:date', authMiddleware, requirePermission('events:write'), async (req, res) => {
+  try {
+    const validation = validate(eventOccurrenceSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const { event, status, error } = await findOccurrence(req.params.id, req.params.date);
+    if (!event) {
+      return res.status(status).json({ error });
+    }
+
+    const existing = await db.getEventOccurrenceOverride(event.id, req.params.date);
+
+    const override = await db.saveEventOccurrenceOverride(event.id, req.params.date, validation.data);
+
+    // Drop a replaced one-off image unless the series or a revision still uses it
+    if (existing?.imageUrl && existing.imageUrl !== override.imageUrl) {
+      await releaseImage(existing.imageUrl);
+    }
+
+    await recordAudit(req, {
+      action: 'event.occurrence_updated',
+      entityType: 'event',
+      entityId: event.id,
+      before: existing || {},
+      after: override
+    });
+
+    res.json(override);
+  } catch (error) {
+    console.error('Update event occurrence error:', error);
+    res.status(500).json({ error: 'Could not update this occurrence. Please try again.' });
+  }
+});
+
+// DELETE /api/events/:id/occurrences/:date - Cancel a single occurrence (protected)
+router.delete('/:id/occurrences/:date', authMiddleware, requirePermission('events:write'), async (req, res) => {
+  try {
+    const { event, status, error } = await findOccurrence(req.params.id, req.params.date);
+    if (!event) {
+      return res.status(status).json({ error });
+    }
+
+    const override = await db.saveEventOccurrenceOverride(event.id, req.params.date, { isCancelled: true });
+
+    await recordAudit(req, {
+      action: 'event.occurrence_cancelled',
+      entityType: 'event',
+      entityId: event.id,
+      after: override
+    });
+
+    res.json({ success: true, message: 'Occurrence cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel event occurrence error:', error);
+    res.status(500).json({ error: 'Could not cancel this occurrence. Please try again.' });
+  }
+});
+
+// DELETE /api/events/:id/occurrences/:date/override - Undo edits/cancellation so the occurrence follows the series (protected)
+router.delete('/:id/occurrences/:date/override', authMiddleware, requirePermission('events:write'), async (req, res) => {
+  try {
+    const { event, status, error } = await findOccurrence(req.params.id, req.params.date);
+    if (!event) {
+      return res.status(status).json({ error });
+    }
+
+    const existing = await db.getEventOccurrenceOverride(event.id, req.params.date);
+    if (!existing) {
+      return res.status(404).json({ error: 'This occurrence has no changes' });
+    }
+
+    await db.deleteEventOccurrenceOverride(event.id, req.params.date);
+
+    await releaseImage(existing.imageUrl);
+
+    await recordAudit(req, {
+      action: 'event.occurrence_reset',
+      entityType: 'event',
+      entityId: event.id,
+      before: existing
+    });
+
+    res.json({ success: true, message: 'Occurrence reset to the series' });
+  } catch (error) {
+    console.error('Reset event occurrence error:', error);
+    res.status(500).json({ error: 'Could not reset this occurrence. Please try again.' });
+  }
+});
+
+// GET|POST /api/events/:id/registrations[...] - Sign-up, cancellation and registrant lists
+router.use(registrationRoutes);
+
+// POST /api/events/:id/check-in, GET /api/events/:id/attendance, /api/events/:id/tickets[...] - Tickets and check-in
+router.use(ticketRoutes);
+
+// POST /api/events/:id/submit|approve|reject|archive - Review workflow (protected)
+router.use(workflowRoutes({
+  resource: 'events',
+  entityType: 'event',
+  label: 'Event',
+  getById: db.getEventById
+}));
+
+// GET /api/events/:id/revisions[/:rev], POST .../:rev/restore - Revision history (protected)
+router.use(revisionRoutes({
+  resource: 'events',
+  entityType: 'event',
+  label: 'Event',
+  getById: db.getEventById,
+  restore: db.restoreEvent,
+  schema: eventSchema,
+  // A restored capacity can be higher than the current one
+  afterRestore: promoteWaitlist
+}));
+
+// GET /api/events/translations/missing, GET|PUT|DELETE /api/events/:id/translations[/:locale] - Translations (protected)
+router.use(translationRoutes({
+  resource: 'events',
+  entityType: 'event',
+  label: 'Event',
+  getById: db.getEventById
+}));
+
 module.exports = router;
 
 
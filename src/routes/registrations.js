@@ -0,0 +1,288 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const {
+  validate,
+  eventRegistrationSchema,
+  registrationQuerySchema,
+  registrationExportQuerySchema,
+  cancelRegistrationSchema
+} = require('../lib/validation');
+const { authMiddleware, optionalAuth, requireUser, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { randomToken, hashToken, hashesMatch } = require('../lib/tokens');
+const { sendMail } = require('../lib/mailer');
+const { registrationEmail, registrationCancelLink, ticketLink } = require('../lib/emails');
+const { describeWhen } = require('../lib/recurrence');
+const { isPublished } = require('../lib/workflow');
+const { issueRegistrationTicket } = require('../lib/tickets');
+const {
+  closedReason,
+  checkRegistrationAllowed,
+  availability,
+  checkAnswers,
+  promoteWaitlist,
+  registrationsCsv
+} = require('../lib/registrations');
+const db = require('../lib/db');
+
+// Event registration routes, mounted by the events router:
+//   GET  /:id/registrations/availability      - Places left and the sign-up form (public)
+//   POST /:id/registrations                   - Sign up - confirmed, or waitlisted when full (public)
+//   POST /:id/registrations/:regId/cancel     - Cancel with the emailed token, or as an admin (events:write)
+//   GET  /:id/registrations                   - Registrants and counts (events:read, users only)
+//   GET  /:id/registrations.csv               - Registrants as a spreadsheet (events:read, users only)
+// Registrant details are personal data, so API keys can't read them
+const router = express.Router();
+
+// Event the public can sign up to - published and taking registrations
+async function findRegistrationEvent(id) {
+  const event = await db.getEventById(id);
+  return event && event.registration && isPublished(event) ? event : null;
+}
+
+// Email the confirmation (with the ticket) or waitlist notice, and the cancel link
+// Failures are logged - the registration stands and the response carries the cancel token
+async function sendRegistrationEmail(event, registration, token, ticket) {
+  try {
+    await sendMail({
+      to: registration.email,
+      ...registrationEmail({
+        name: registration.name,
+        eventTitle: event.title,
+        when: describeWhen(event),
+        seats: registration.seats,
+        status: registration.status,
+        cancelLink: registrationCancelLink({ eventSlug: event.slug, registrationId: registration.id, token }),
+        ticketLink: ticket ? ticketLink({ eventSlug: event.slug, code: ticket.code }) : null
+      })
+    });
+    return true;
+  } catch (error) {
+    console.error('Registration email error:', error);
+    return false;
+  }
+}
+
+// GET /api/events/:id/registrations/availability - Registration status for the sign-up form
+router.get('/:id/registrations/availability', async (req, res) => {
+  try {
+    const event = await findRegistrationEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(availability(event, await db.getRegistrationCounts(event.id)));
+  } catch (error) {
+    console.error('Get registration availability error:', error);
+    res.status(500).json({ error: 'Could not load registration details. Please try again.' });
+  }
+});
+
+// POST /api/events/:id/registrations - Register for an event
+// Limited per IP like logins (lib/loginProtection.js)
+router.post('/:id/registrations', async (req, res) => {
+  try {
+    const blocked = await checkRegistrationAllowed(req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+    }
+
+    const validation = validate(eventRegistrationSchema, req.body || {});
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const event = await findRegistrationEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const closed = closedReason(event);
+    if (closed) {
+      return res.status(400).json({ error: closed });
+    }
+
+    const { maxSeats, questions } = event.registration;
+    const { seats, answers } = validation.data;
+    const errors = checkAnswers(questions, answers);
+
+    if (seats > maxSeats) {
+      errors.unshift({ field: 'seats', message: `You can book up to ${maxSeats} ${maxSeats === 1 ? 'place' : 'places'}` });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: errors
+      });
+    }
+
+    const token = randomToken();
+    let registration;
+
+    try {
+      registration = await db.createRegistration({
+        id: `registration-${uuidv4()}`,
+        eventId: event.id,
+        ...validation.data,
+        cancelTokenHash: hashToken(token),
+        ipAddress: req.ip
+      }, event.registration.capacity);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'This email is already registered for this event' });
+      }
+      throw error;
+    }
+
+    // The registration stands if the ticket fails - it's issued when the event's tickets are next listed
+    let ticket = null;
+    if (registration.status === 'confirmed') {
+      try {
+        ticket = await issueRegistrationTicket(registration);
+      } catch (error) {
+        console.error('Registration ticket error:', error);
+      }
+    }
+
+    const emailSent = await sendRegistrationEmail(event, registration, token, ticket);
+
+    res.status(201).json({
+      ...registration,
+      cancelToken: token,
+      ticket,
+      emailSent,
+      message: registration.status === 'waitlisted'
+        ? "This event is full - you're on the waitlist"
+        : "You're registered"
+    });
+  } catch (error) {
+    console.error('Create registration error:', error);
+    res.status(500).json({ error: 'Could not register for this event. Please try again.' });
+  }
+});
+
+// POST /api/events/:id/registrations/:registrationId/cancel - Cancel a registration
+// Frees its places for the waitlist
+router.post('/:id/registrations/:registrationId/cancel', optionalAuth, async (req, res) => {
+  try {
+    const validation = validate(cancelRegistrationSchema, req.body || {});
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const registration = await db.getRegistrationWithTokenHash(req.params.id, req.params.registrationId);
+    const { token } = validation.data;
+    const isAdmin = Boolean(req.user) && !req.user.isApiKey && principalCan(req.user, 'events:write');
+    const allowed = isAdmin || (Boolean(token) && Boolean(registration) && hashesMatch(hashToken(token), registration.cancelTokenHash));
+
+    // Same answer for a wrong token and an unknown registration
+    if (!registration || !allowed) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const cancelled = await db.cancelRegistration(registration.id);
+    if (!cancelled) {
+      return res.status(400).json({ error: 'This registration is already cancelled' });
+    }
+
+    await db.revokeRegistrationTicket(registration.id);
+
+    const event = await db.getEventById(registration.eventId);
+    if (event && registration.status === 'confirmed') {
+      await promoteWaitlist(event);
+    }
+
+    if (isAdmin) {
+      const { cancelTokenHash, ...before } = registration;
+      await recordAudit(req, {
+        action: 'event.registration_cancelled',
+        entityType: 'event',
+        entityId: registration.eventId,
+        before,
+        after: cancelled
+      });
+    }
+
+    res.json({ success: true, message: 'Registration cancelled' });
+  } catch (error) {
+    console.error('Cancel registration error:', error);
+    res.status(500).json({ error: 'Could not cancel registration. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/registrations.csv - Export registrants (protected)
+router.get('/:id/registrations.csv', authMiddleware, requireUser, requirePermission('events:read'), async (req, res) => {
+  try {
+    const validation = validate(registrationExportQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const registrations = await db.getAllRegistrations(event.id, validation.data);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${event.slug}-registrations.csv"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(registrationsCsv(event, registrations));
+  } catch (error) {
+    console.error('Export registrations error:', error);
+    res.status(500).json({ error: 'Could not export registrations. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/registrations - List registrants, confirmed first then the waitlist (protected)
+router.get('/:id/registrations', authMiddleware, requireUser, requirePermission('events:read'), async (req, res) => {
+  try {
+    const validation = validate(registrationQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const [{ registrations, total }, counts] = await Promise.all([
+      db.getRegistrations(event.id, validation.data),
+      db.getRegistrationCounts(event.id)
+    ]);
+
+    res.json({
+      ...paginated(registrations, total, validation.data),
+      registration: event.registration,
+      counts
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({ error: 'Could not load registrations. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const { validate, revisionQuerySchema } = require('../lib/validation');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { snapshot, recordRevision } = require('../lib/revisions');
+const { diffRecords, recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const db = require('../lib/db');
+
+// Revision history routes, mounted by each content router:
+//   GET  /:id/revisions               - Page of revisions, newest first (<resource>:read)
+//   GET  /:id/revisions/:rev          - One revision and its differences from the current version (<resource>:read)
+//   POST /:id/revisions/:rev/restore  - Put a revision's content back (<resource>:write)
+// Options: resource (permission prefix), entityType (revision type and audit log), label, getById,
+// restore (writes revision content back as stored), schema (the PUT route's, checked before restoring),
+// afterRestore (optional follow-up with the restored item)
+function revisionRoutes({ resource, entityType, label, getById, restore, schema, afterRestore }) {
+  const router = express.Router();
+  const noun = label.toLowerCase();
+
+  // Find the item and one of its revisions - returns { item, revision } or { status, error }
+  async function findRevision(id, rev) {
+    if (!/^\d+$/.test(rev)) {
+      return { status: 400, error: 'Revision must be a number' };
+    }
+
+    const item = await getById(id);
+    if (!item) {
+      return { status: 404, error: `${label} not found` };
+    }
+
+    const revision = await db.getRevision(entityType, id, parseInt(rev));
+    if (!revision) {
+      return { status: 404, error: 'Revision not found' };
+    }
+
+    return { item, revision };
+  }
+
+  // Check restored content as the PUT route would - nulls count as left out, and fields an old
+  // revision doesn't have keep their current values (so cross-field rules see the real result)
+  function checkRestore(item, revision) {
+    const data = JSON.parse(JSON.stringify({ ...snapshot(entityType, item), ...revision.data }));
+    const present = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null));
+    return { data, validation: validate(schema, present) };
+  }
+
+  router.get('/:id/revisions', authMiddleware, requirePermission(`${resource}:read`), async (req, res) => {
+    try {
+      const validation = validate(revisionQuerySchema, req.query);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Please check your filters',
+          details: validation.errors
+        });
+      }
+
+      const item = await getById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const { revisions, total } = await db.getRevisions(entityType, item.id, validation.data);
+      res.json(paginated(revisions, total, validation.data));
+    } catch (error) {
+      console.error(`Get ${noun} revisions error:`, error);
+      res.status(500).json({ error: `Could not load ${noun} history. Please try again.` });
+    }
+  });
+
+  router.get('/:id/revisions/:rev', authMiddleware, requirePermission(`${resource}:read`), async (req, res) => {
+    try {
+      const { item, revision, status, error } = await findRevision(req.params.id, req.params.rev);
+      if (!revision) {
+        return res.status(status).json({ error });
+      }
+
+      // before is this revision, after is the current version
+      res.json({ ...revision, diff: diffRecords(revision.data, snapshot(entityType, item)) });
+    } catch (error) {
+      console.error(`Get ${noun} revision error:`, error);
+      res.status(500).json({ error: `Could not load ${noun} history. Please try again.` });
+    }
+  });
+
+  router.post('/:id/revisions/:rev/restore', authMiddleware, requirePermission(`${resource}:write`), async (req, res) => {
+    try {
+      const { item, revision, status, error } = await findRevision(req.params.id, req.params.rev);
+      if (!revision) {
+        return res.status(status).json({ error });
+      }
+
+      const { data, validation } = checkRestore(item, revision);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: `This revision can't be restored as it is. Please edit the ${noun} instead.`,
+          details: validation.errors
+        });
+      }
+
+      const updated = await restore(item.id, data);
+
+      if (afterRestore) {
+        await afterRestore(updated);
+      }
+
+      await recordRevision(req, entityType, updated, { before: item, restoredFrom: revision.revision });
+
+      await recordAudit(req, {
+        action: `${entityType}.restored`,
+        entityType,
+        entityId: item.id,
+        before: item,
+        after: updated
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error(`Restore ${noun} revision error:`, error);
+      res.status(500).json({ error: `Could not restore ${noun}. Please try again.` });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { revisionRoutes };
@@ -0,0 +1,45 @@
+const express = require('express');
+const { validate, searchQuerySchema, SEARCH_TYPES } = require('../lib/validation');
+const { optionalAuth } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { paginated } = require('../lib/pagination');
+const db = require('../lib/db');
+
+const router = express.Router();
+
+// Permission that lets a caller see unpublished or inactive results of each type
+const READ_PERMISSIONS = {
+  announcement: 'announcements:read',
+  event: 'events:read',
+  service: 'services:read',
+  theme: 'theme:read'
+};
+
+// GET /api/search?q= - Ranked full-text search across announcements, events, services and themes
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const validation = validate(searchQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your search',
+        details: validation.errors
+      });
+    }
+
+    const { q, type, page, limit } = validation.data;
+    const types = type ? [...new Set(type)] : SEARCH_TYPES;
+
+    // Public callers only see published, active items; admins and API keys with read access see everything
+    const includeInactiveTypes = types.filter(searchType => principalCan(req.user, READ_PERMISSIONS[searchType]));
+
+    const { results, total } = await db.searchContent({ q, types, includeInactiveTypes, page, limit });
+
+    res.json(paginated(results, total, { page, limit }));
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Could not run search. Please try again.' });
+  }
+});
+
+module.exports = router;
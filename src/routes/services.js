@@ -1,37 +1,47 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
-const { validate, serviceSchema } = require('../lib/validation');
-const { authMiddleware } = require('../middleware/auth');
+const {
+  validate,
+  serviceSchema,
+  serviceQuerySchema,
+  serviceScheduleQuerySchema,
+  nextServiceQuerySchema
+} = require('../lib/validation');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { isPublished } = require('../lib/workflow');
+const { recordRevision } = require('../lib/revisions');
+const { negotiateLocale, localize, localizeItem } = require('../lib/translations');
+const { SCHEDULE_TIMEZONE, upcomingGatherings, scheduleByDay } = require('../lib/schedules');
+const { workflowRoutes } = require('./workflow');
+const { revisionRoutes } = require('./revisions');
+const { translationRoutes } = require('./translations');
 const db = require('../lib/db');
 
 const router = express.Router();
 
-// Helper function to delete old image file
-function deleteImageFile(imageUrl) {
-  if (!imageUrl || !imageUrl.startsWith('/uploads/')) {
-    return;
-  }
-
+// GET /api/services - List services (paginated, sortable)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const filePath = path.join(__dirname, '..', '..', 'public', imageUrl);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`Deleted old image: ${filePath}`);
+    console.log('🌐 [API ROUTE] GET /api/services - Fetching services:', req.query);
+    const validation = validate(serviceQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
     }
-  } catch (error) {
-    console.error(`Error deleting image file ${imageUrl}:`, error);
-    // Don't throw - image deletion failure shouldn't break the update
-  }
-}
 
-// GET /api/services - Get all services
-router.get('/', async (req, res) => {
-  try {
-    console.log('🌐 [API ROUTE] GET /api/services - Fetching all services');
-    const services = await db.getServices();
-    console.log('✅ [API ROUTE] GET /api/services - Returning', services.length, 'services');
+    const filters = {
+      ...validation.data,
+      // Unpublished items are only for admins and API keys with read access
+      workflowStatus: principalCan(req.user, 'services:read') ? validation.data.workflowStatus : 'published'
+    };
+    const { services, total } = await db.getServices(filters);
+    console.log('✅ [API ROUTE] GET /api/services - Returning', services.length, 'of', total, 'services');
     services.forEach((service, idx) => {
       console.log(`📤 [API ROUTE] Sending service ${idx + 1}:`, {
         id: service.id,
@@ -40,20 +50,77 @@ router.get('/', async (req, res) => {
         imageUrlLength: service.imageUrl?.length
       });
     });
-    res.json(services);
+    res.json(paginated(await localize('service', services, negotiateLocale(req, res)), total, filters));
   } catch (error) {
     console.error('❌ [API ROUTE] Get services error:', error);
     res.status(500).json({ error: 'Could not load services. Please try again.' });
   }
 });
 
+// Published services with a schedule, translated for the request
+async function scheduledServices(req, res) {
+  return localize('service', await db.getScheduledServices(), negotiateLocale(req, res));
+}
+
+// GET /api/services/schedule - Gatherings over the next days (default 7), day by day
+router.get('/schedule', async (req, res) => {
+  try {
+    const validation = validate(serviceScheduleQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const now = new Date();
+    const gatherings = upcomingGatherings(await scheduledServices(req, res), { ...validation.data, now });
+
+    res.json({
+      timezone: SCHEDULE_TIMEZONE,
+      days: scheduleByDay(gatherings, { days: validation.data.days, now })
+    });
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get service schedule error:', error);
+    res.status(500).json({ error: 'Could not load the service schedule. Please try again.' });
+  }
+});
+
+// GET /api/services/next - The next gathering(s), including one under way
+router.get('/next', async (req, res) => {
+  try {
+    const validation = validate(nextServiceQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const { limit, language } = validation.data;
+    // 8 days so a slot that has already ended today comes round again next week
+    const gatherings = upcomingGatherings(await scheduledServices(req, res), { days: 8, language });
+
+    res.json({
+      timezone: SCHEDULE_TIMEZONE,
+      data: gatherings.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get next service error:', error);
+    res.status(500).json({ error: 'Could not load the next service. Please try again.' });
+  }
+});
+
 // GET /api/services/:id - Get single service
-router.get('/:id', async (req, res) => {
+// Unpublished services are only visible with services:read
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     console.log('🌐 [API ROUTE] GET /api/services/:id - Fetching service:', req.params.id);
     const service = await db.getServiceById(req.params.id);
 
-    if (!service) {
+    if (!service || (!isPublished(service) && !principalCan(req.user, 'services:read'))) {
       console.log('❌ [API ROUTE] Service not found:', req.params.id);
       return res.status(404).json({ error: 'Service not found' });
     }
@@ -64,7 +131,7 @@ router.get('/:id', async (req, res) => {
       imageUrl: service.imageUrl,
       imageUrlLength: service.imageUrl?.length
     });
-    res.json(service);
+    res.json(await localizeItem('service', service, negotiateLocale(req, res)));
   } catch (error) {
     console.error('❌ [API ROUTE] Get service error:', error);
     res.status(500).json({ error: 'Could not load service. Please try again.' });
@@ -72,7 +139,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/services - Create service (protected)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('services:write'), async (req, res) => {
   try {
     console.log('🌐 [API ROUTE] POST /api/services - Creating service with data:', {
       title: req.body.title,
@@ -99,7 +166,15 @@ router.post('/', authMiddleware, async (req, res) => {
     };
 
     console.log('➕ [API ROUTE] Creating service with imageUrl:', service.imageUrl);
-    await db.createService(service);
+    const created = await db.createService(service);
+    await recordRevision(req, 'service', created);
+
+    await recordAudit(req, {
+      action: 'service.created',
+      entityType: 'service',
+      entityId: service.id,
+      after: created
+    });
 
     console.log('✅ [API ROUTE] Service created successfully:', service.id);
     res.status(201).json(service);
@@ -110,7 +185,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/services/:id - Update service (protected)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('services:write'), async (req, res) => {
   try {
     const validation = validate(serviceSchema, req.body);
 
@@ -121,23 +196,28 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Get existing service to check for old image
     const existing = await db.getServiceById(req.params.id);
     if (!existing) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
-    // If image is being updated, delete the old one
-    if (validation.data.imageUrl && existing.imageUrl && validation.data.imageUrl !== existing.imageUrl) {
-      deleteImageFile(existing.imageUrl);
-    }
-
+    // A replaced image is kept - the previous revision still points at it
     const updated = await db.updateService(req.params.id, validation.data);
 
     if (!updated) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
+    await recordRevision(req, 'service', updated, { before: existing });
+
+    await recordAudit(req, {
+      action: 'service.updated',
+      entityType: 'service',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
     res.json(updated);
   } catch (error) {
     console.error('Update service error:', error);
@@ -145,20 +225,55 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// DELETE /api/services/:id - Delete service (protected)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/services/:id - Move a service to the trash (protected)
+// It can be restored from /api/trash until it's purged
+router.delete('/:id', authMiddleware, requirePermission('services:write'), async (req, res) => {
   try {
-    const deleted = await db.deleteService(req.params.id);
+    const existing = await db.getServiceById(req.params.id);
+    const deleted = await db.deleteService(req.params.id, req.user.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Service not found' });
     }
 
-    res.json({ success: true, message: 'Service deleted successfully' });
+    await recordAudit(req, {
+      action: 'service.deleted',
+      entityType: 'service',
+      entityId: req.params.id,
+      before: existing
+    });
+
+    res.json({ success: true, message: 'Service moved to trash' });
   } catch (error) {
     console.error('Delete service error:', error);
     res.status(500).json({ error: 'Could not delete service. Please try again.' });
   }
 });
 
+// POST /api/services/:id/submit|approve|reject|archive - Review workflow (protected)
+router.use(workflowRoutes({
+  resource: 'services',
+  entityType: 'service',
+  label: 'Service',
+  getById: db.getServiceById
+}));
+
+// GET /api/services/:id/revisions[/:rev], POST .../:rev/restore - Revision history (protected)
+router.use(revisionRoutes({
+  resource: 'services',
+  entityType: 'service',
+  label: 'Service',
+  getById: db.getServiceById,
+  restore: db.restoreService,
+  schema: serviceSchema
+}));
+
+// GET /api/services/translations/missing, GET|PUT|DELETE /api/services/:id/translations[/:locale] - Translations (protected)
+router.use(translationRoutes({
+  resource: 'services',
+  entityType: 'service',
+  label: 'Service',
+  getById: db.getServiceById
+}));
+
 module.exports = router;
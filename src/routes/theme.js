@@ -1,37 +1,52 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
-const { validate, themeSchema } = require('../lib/validation');
-const { authMiddleware } = require('../middleware/auth');
+const { validate, themeSchema, themeQuerySchema, themeArchiveParamsSchema } = require('../lib/validation');
+const { authMiddleware, optionalAuth, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { isPublished } = require('../lib/workflow');
+const { recordRevision } = require('../lib/revisions');
+const { saveWithSlug, recordSlugChange, findBySlug } = require('../lib/slugs');
+const { negotiateLocale, localize, localizeItem } = require('../lib/translations');
+const { toDateString } = require('../lib/recurrence');
+const { churchToday } = require('../lib/schedules');
+const { workflowRoutes } = require('./workflow');
+const { revisionRoutes } = require('./revisions');
+const { translationRoutes } = require('./translations');
 const db = require('../lib/db');
 
 const router = express.Router();
 
-// Helper function to delete old image file
-function deleteImageFile(imageUrl) {
-  if (!imageUrl || !imageUrl.startsWith('/uploads/')) {
-    return;
-  }
-  
-  try {
-    const filePath = path.join(__dirname, '..', '..', 'public', imageUrl);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`Deleted old image: ${filePath}`);
-    }
-  } catch (error) {
-    console.error(`Error deleting image file ${imageUrl}:`, error);
-    // Don't throw - image deletion failure shouldn't break the update
-  }
+// Published and already in effect at the church - anything else needs theme:read
+function isVisible(theme, req) {
+  return principalCan(req.user, 'theme:read') ||
+    (isPublished(theme) && toDateString(theme.effectiveFrom) <= churchToday());
 }
 
-// GET /api/theme - Get all themes
-router.get('/', async (req, res) => {
+// GET /api/theme - List themes (paginated, sortable)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    console.log('🌐 [API ROUTE] GET /api/theme - Fetching all themes');
-    const themes = await db.getThemes();
-    console.log('✅ [API ROUTE] GET /api/theme - Returning', themes.length, 'themes');
+    console.log('🌐 [API ROUTE] GET /api/theme - Fetching themes:', req.query);
+    const validation = validate(themeQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const canRead = principalCan(req.user, 'theme:read');
+    const filters = {
+      ...validation.data,
+      // Unpublished items are only for admins and API keys with read access
+      workflowStatus: canRead ? validation.data.workflowStatus : 'published',
+      // ...and so are themes scheduled to take effect later
+      startedBy: canRead ? undefined : churchToday()
+    };
+    const { themes, total } = await db.getThemes(filters);
+    console.log('✅ [API ROUTE] GET /api/theme - Returning', themes.length, 'of', total, 'themes');
     themes.forEach((theme, idx) => {
       console.log(`📤 [API ROUTE] Sending theme ${idx + 1}:`, {
         id: theme.id,
@@ -40,34 +55,35 @@ router.get('/', async (req, res) => {
         posterPathLength: theme.posterPath?.length
       });
     });
-    res.json(themes);
+    res.json(paginated(await localize('theme', themes, negotiateLocale(req, res)), total, filters));
   } catch (error) {
     console.error('❌ [API ROUTE] Get themes error:', error);
     res.status(500).json({ error: 'Could not load themes. Please try again.' });
   }
 });
 
-// GET /api/theme/latest - Get the latest theme
-router.get('/latest', async (req, res) => {
+// GET /api/theme/current - Get the published theme in effect today
+// GET /api/theme/latest - Same, kept for older clients
+async function getCurrentTheme(req, res) {
   try {
-    console.log('🌐 [API ROUTE] GET /api/theme/latest - Fetching latest theme');
-    const theme = await db.getLatestTheme();
+    console.log(`🌐 [API ROUTE] GET /api/theme${req.path} - Fetching current theme`);
+    const theme = await db.getCurrentTheme();
 
     if (!theme) {
       console.log('❌ [API ROUTE] No theme found');
       return res.status(404).json({ error: 'No theme found' });
     }
 
-    console.log('✅ [API ROUTE] GET /api/theme/latest - Returning theme:', {
+    console.log(`✅ [API ROUTE] GET /api/theme${req.path} - Returning theme:`, {
       id: theme.id,
       title: theme.title,
       posterPath: theme.posterPath,
       posterPathLength: theme.posterPath?.length,
       posterPathPreview: theme.posterPath?.substring(0, 50)
     });
-    res.json(theme);
+    res.json(await localizeItem('theme', theme, negotiateLocale(req, res)));
   } catch (error) {
-    console.error('❌ [API ROUTE] Get latest theme error:', error);
+    console.error('❌ [API ROUTE] Get current theme error:', error);
 
     // Check if it's a table doesn't exist error (common during migration)
     if (error.message && error.message.includes('does not exist')) {
@@ -77,15 +93,74 @@ router.get('/latest', async (req, res) => {
     // For other errors, return 404 instead of 500 to handle gracefully on frontend
     res.status(404).json({ error: 'No theme available at this time.' });
   }
+}
+
+router.get('/current', getCurrentTheme);
+router.get('/latest', getCurrentTheme);
+
+// GET /api/theme/archive/:year - Published themes that took effect in a year, in date order,
+// with their scripture references and confessions, plus the years that have themes
+// Themes scheduled to take effect later are only listed with theme:read
+router.get('/archive/:year', optionalAuth, async (req, res) => {
+  try {
+    const validation = validate(themeArchiveParamsSchema, req.params);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const { year } = validation.data;
+    const options = { startedBy: principalCan(req.user, 'theme:read') ? undefined : churchToday() };
+    const [themes, years] = await Promise.all([
+      db.getThemeArchive(year, options),
+      db.getThemeArchiveYears(options)
+    ]);
+
+    res.json({
+      year,
+      years,
+      data: await localize('theme', themes, negotiateLocale(req, res))
+    });
+  } catch (error) {
+    console.error('Get theme archive error:', error);
+    res.status(500).json({ error: 'Could not load the theme archive. Please try again.' });
+  }
+});
+
+// GET /api/theme/by-slug/:slug - Get single theme by its permalink
+// A previous slug redirects (301) to the current one
+router.get('/by-slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    console.log('🌐 [API ROUTE] GET /api/theme/by-slug/:slug - Fetching theme:', req.params.slug);
+    const { item: theme, redirected } = await findBySlug('theme', req.params.slug);
+
+    if (!theme || !isVisible(theme, req)) {
+      console.log('❌ [API ROUTE] Theme not found:', req.params.slug);
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+
+    if (redirected) {
+      return res.redirect(301, `${req.baseUrl}/by-slug/${theme.slug}`);
+    }
+
+    res.json(await localizeItem('theme', theme, negotiateLocale(req, res)));
+  } catch (error) {
+    console.error('❌ [API ROUTE] Get theme by slug error:', error);
+    res.status(500).json({ error: 'Could not load theme. Please try again.' });
+  }
 });
 
 // GET /api/theme/:id - Get single theme
-router.get('/:id', async (req, res) => {
+// Unpublished and scheduled themes are only visible with theme:read
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     console.log('🌐 [API ROUTE] GET /api/theme/:id - Fetching theme:', req.params.id);
     const theme = await db.getThemeById(req.params.id);
 
-    if (!theme) {
+    if (!theme || !isVisible(theme, req)) {
       console.log('❌ [API ROUTE] Theme not found:', req.params.id);
       return res.status(404).json({ error: 'Theme not found' });
     }
@@ -96,7 +171,7 @@ router.get('/:id', async (req, res) => {
       posterPath: theme.posterPath,
       posterPathLength: theme.posterPath?.length
     });
-    res.json(theme);
+    res.json(await localizeItem('theme', theme, negotiateLocale(req, res)));
   } catch (error) {
     console.error('❌ [API ROUTE] Get theme error:', error);
     res.status(500).json({ error: 'Could not load theme. Please try again.' });
@@ -104,7 +179,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/theme - Create theme (protected)
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('theme:write'), async (req, res) => {
   try {
     const validation = validate(themeSchema, req.body);
 
@@ -123,9 +198,25 @@ router.post('/', authMiddleware, async (req, res) => {
       updatedAt: now
     };
 
-    await db.createTheme(theme);
+    const { saved: created, error: slugError } = await saveWithSlug('theme', validation.data, null,
+      slug => db.createTheme({ ...theme, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
+
+    await recordRevision(req, 'theme', created);
+
+    await recordAudit(req, {
+      action: 'theme.created',
+      entityType: 'theme',
+      entityId: theme.id,
+      after: created
+    });
 
-    res.status(201).json(theme);
+    res.status(201).json({ ...theme, slug: created.slug });
   } catch (error) {
     console.error('Create theme error:', error);
     res.status(500).json({ error: 'Could not create theme. Please try again.' });
@@ -133,7 +224,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/theme/:id - Update theme (protected)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('theme:write'), async (req, res) => {
   try {
     const validation = validate(themeSchema, req.body);
 
@@ -144,23 +235,47 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Get existing theme to check for old image
     const existing = await db.getThemeById(req.params.id);
     if (!existing) {
       return res.status(404).json({ error: 'Theme not found' });
     }
 
-    // If poster path is being updated, delete the old one
-    if (validation.data.posterPath && existing.posterPath && validation.data.posterPath !== existing.posterPath) {
-      deleteImageFile(existing.posterPath);
+    const { effectiveFrom, effectiveTo } = validation.data;
+    const effectiveStart = effectiveFrom || toDateString(existing.effectiveFrom);
+    const effectiveEnd = effectiveTo !== undefined ? effectiveTo : existing.effectiveTo && toDateString(existing.effectiveTo);
+
+    if (effectiveEnd && effectiveEnd < effectiveStart) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'effectiveTo', message: 'effectiveTo must be on or after effectiveFrom' }]
+      });
     }
 
-    const updated = await db.updateTheme(req.params.id, validation.data);
+    // A replaced poster is kept - the previous revision still points at it
+    const { saved: updated, error: slugError } = await saveWithSlug('theme', validation.data, existing,
+      slug => db.updateTheme(req.params.id, { ...validation.data, slug }));
+    if (slugError) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: [{ field: 'slug', message: slugError }]
+      });
+    }
 
     if (!updated) {
       return res.status(404).json({ error: 'Theme not found' });
     }
 
+    await recordRevision(req, 'theme', updated, { before: existing });
+    await recordSlugChange('theme', updated.id, existing.slug, updated.slug);
+
+    await recordAudit(req, {
+      action: 'theme.updated',
+      entityType: 'theme',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
     res.json(updated);
   } catch (error) {
     console.error('Update theme error:', error);
@@ -168,29 +283,56 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// DELETE /api/theme/:id - Delete theme (protected)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/theme/:id - Move a theme to the trash (protected)
+// It can be restored from /api/trash until it's purged
+router.delete('/:id', authMiddleware, requirePermission('theme:write'), async (req, res) => {
   try {
-    // Get existing theme to delete associated image
     const existing = await db.getThemeById(req.params.id);
-    
-    const deleted = await db.deleteTheme(req.params.id);
+    const deleted = await db.deleteTheme(req.params.id, req.user.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Theme not found' });
     }
 
-    // Delete associated image file
-    if (existing && existing.posterPath) {
-      deleteImageFile(existing.posterPath);
-    }
+    await recordAudit(req, {
+      action: 'theme.deleted',
+      entityType: 'theme',
+      entityId: req.params.id,
+      before: existing
+    });
 
-    res.json({ success: true, message: 'Theme deleted successfully' });
+    res.json({ success: true, message: 'Theme moved to trash' });
   } catch (error) {
     console.error('Delete theme error:', error);
     res.status(500).json({ error: 'Could not delete theme. Please try again.' });
   }
 });
 
+// POST /api/theme/:id/submit|approve|reject|archive - Review workflow (protected)
+router.use(workflowRoutes({
+  resource: 'theme',
+  entityType: 'theme',
+  label: 'Theme',
+  getById: db.getThemeById
+}));
+
+// GET /api/theme/:id/revisions[/:rev], POST .../:rev/restore - Revision history (protected)
+router.use(revisionRoutes({
+  resource: 'theme',
+  entityType: 'theme',
+  label: 'Theme',
+  getById: db.getThemeById,
+  restore: db.restoreTheme,
+  schema: themeSchema
+}));
+
+// GET /api/theme/translations/missing, GET|PUT|DELETE /api/theme/:id/translations[/:locale] - Translations (protected)
+router.use(translationRoutes({
+  resource: 'theme',
+  entityType: 'theme',
+  label: 'Theme',
+  getById: db.getThemeById
+}));
+
 module.exports = router;
 
@@ -0,0 +1,247 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const {
+  validate,
+  ticketSchema,
+  ticketQuerySchema,
+  ticketQrQuerySchema,
+  checkInSchema
+} = require('../lib/validation');
+const { authMiddleware, requireUser, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const { verifyTicketCode, withCode, ticketQr } = require('../lib/tickets');
+const db = require('../lib/db');
+
+// Ticket and check-in routes, mounted by the events router:
+//   POST   /:id/check-in               - Check a scanned ticket code in (events:checkin)
+//   GET    /:id/attendance             - Live attendance counts (events:read or events:checkin)
+//   GET    /:id/tickets                - Tickets with their check-in status (events:read)
+//   POST   /:id/tickets                - Issue a ticket that isn't from a registration (events:write)
+//   GET    /:id/tickets/qr?code=       - QR code image of a ticket, SVG or PNG (public - the code is the secret)
+//   GET    /:id/tickets/:ticketId      - One ticket with its code (events:read)
+//   DELETE /:id/tickets/:ticketId      - Revoke a ticket (events:write)
+// Confirmed registrations get their ticket automatically (see routes/registrations.js); any
+// confirmed registration still without one is ticketed when the tickets or attendance are loaded
+const router = express.Router();
+
+// POST /api/events/:id/check-in - Check in the ticket an usher scanned
+// Rejects codes for other events, revoked tickets and tickets already checked in
+router.post('/:id/check-in', authMiddleware, requireUser, requirePermission('events:checkin'), async (req, res) => {
+  try {
+    const validation = validate(checkInSchema, req.body || {});
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const ticketId = verifyTicketCode(event.id, validation.data.code);
+    const ticket = ticketId && await db.getTicketById(event.id, ticketId);
+
+    if (!ticket) {
+      return res.status(400).json({ error: 'This ticket is not valid for this event' });
+    }
+    if (ticket.status === 'revoked') {
+      return res.status(400).json({ error: 'This ticket has been cancelled', ticket });
+    }
+
+    const checkedIn = await db.checkInTicket(ticket.id, req.user.id);
+
+    if (!checkedIn) {
+      return res.status(400).json({
+        error: 'This ticket has already been checked in',
+        ticket: await db.getTicketById(event.id, ticket.id),
+        attendance: await db.getAttendanceCounts(event.id)
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'event.ticket_checked_in',
+      entityType: 'event',
+      entityId: event.id,
+      after: { ticketId: checkedIn.id, holderName: checkedIn.holderName, admits: checkedIn.admits }
+    });
+
+    res.json({
+      ticket: checkedIn,
+      attendance: await db.getAttendanceCounts(event.id)
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: 'Could not check this ticket in. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/attendance - Tickets, people expected and people in so far
+router.get('/:id/attendance', authMiddleware, requireUser, requirePermission('events:read', 'events:checkin'), async (req, res) => {
+  try {
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await db.issueMissingRegistrationTickets(event.id);
+    res.json(await db.getAttendanceCounts(event.id));
+  } catch (error) {
+    console.error('Get attendance error:', error);
+    res.status(500).json({ error: 'Could not load attendance. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/tickets - List tickets, latest check-ins first (protected)
+router.get('/:id/tickets', authMiddleware, requireUser, requirePermission('events:read'), async (req, res) => {
+  try {
+    const validation = validate(ticketQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await db.issueMissingRegistrationTickets(event.id);
+
+    const [{ tickets, total }, attendance] = await Promise.all([
+      db.getTickets(event.id, validation.data),
+      db.getAttendanceCounts(event.id)
+    ]);
+
+    res.json({
+      ...paginated(tickets.map(withCode), total, validation.data),
+      attendance
+    });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({ error: 'Could not load tickets. Please try again.' });
+  }
+});
+
+// POST /api/events/:id/tickets - Issue a ticket to a guest (protected)
+router.post('/:id/tickets', authMiddleware, requireUser, requirePermission('events:write'), async (req, res) => {
+  try {
+    const validation = validate(ticketSchema, req.body || {});
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const event = await db.getEventById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const ticket = await db.createTicket({
+      id: `ticket-${uuidv4()}`,
+      eventId: event.id,
+      ...validation.data,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'event.ticket_issued',
+      entityType: 'event',
+      entityId: event.id,
+      after: ticket
+    });
+
+    res.status(201).json(withCode(ticket));
+  } catch (error) {
+    console.error('Issue ticket error:', error);
+    res.status(500).json({ error: 'Could not issue ticket. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/tickets/qr?code=&format=svg|png - QR code for a ticket
+router.get('/:id/tickets/qr', async (req, res) => {
+  try {
+    const validation = validate(ticketQrQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const { code, format } = validation.data;
+    const ticketId = verifyTicketCode(req.params.id, code);
+    const ticket = ticketId && await db.getTicketById(req.params.id, ticketId);
+
+    if (!ticket || ticket.status === 'revoked') {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const { contentType, body } = await ticketQr(code.trim(), format);
+
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Ticket QR code error:', error);
+    res.status(500).json({ error: 'Could not create the QR code. Please try again.' });
+  }
+});
+
+// GET /api/events/:id/tickets/:ticketId - Get a ticket (protected)
+router.get('/:id/tickets/:ticketId', authMiddleware, requireUser, requirePermission('events:read'), async (req, res) => {
+  try {
+    const ticket = await db.getTicketById(req.params.id, req.params.ticketId);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json(withCode(ticket));
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ error: 'Could not load ticket. Please try again.' });
+  }
+});
+
+// DELETE /api/events/:id/tickets/:ticketId - Revoke a ticket so it no longer checks in (protected)
+router.delete('/:id/tickets/:ticketId', authMiddleware, requireUser, requirePermission('events:write'), async (req, res) => {
+  try {
+    const existing = await db.getTicketById(req.params.id, req.params.ticketId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const revoked = await db.revokeTicket(existing.id);
+    if (!revoked) {
+      return res.status(400).json({ error: 'This ticket is already revoked' });
+    }
+
+    await recordAudit(req, {
+      action: 'event.ticket_revoked',
+      entityType: 'event',
+      entityId: existing.eventId,
+      before: existing,
+      after: revoked
+    });
+
+    res.json({ success: true, message: 'Ticket revoked' });
+  } catch (error) {
+    console.error('Revoke ticket error:', error);
+    res.status(500).json({ error: 'Could not revoke ticket. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { validate, translationSchema, missingTranslationsQuerySchema } = require('../lib/validation');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  DEFAULT_LOCALE,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS,
+  missingFields
+} = require('../lib/translations');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const db = require('../lib/db');
+
+// Translation routes, mounted by each content router:
+//   GET    /translations/missing         - Page of items with untranslated fields (<resource>:read)
+//   GET    /:id/translations             - An item's translations and what's still missing (<resource>:read)
+//   PUT    /:id/translations/:locale     - Set or clear translated fields in one locale (<resource>:write)
+//   DELETE /:id/translations/:locale     - Remove all of an item's translations in one locale (<resource>:write)
+// Options: resource (permission prefix), entityType (translation type and audit log), label, getById
+function translationRoutes({ resource, entityType, label, getById }) {
+  const router = express.Router();
+  const noun = label.toLowerCase();
+  const fields = TRANSLATABLE_FIELDS[entityType];
+  const schema = translationSchema(fields);
+
+  // Translations by locale and field, plus the fields still missing per locale
+  async function translationSummary(item) {
+    const rows = await db.getItemTranslations(entityType, item.id);
+
+    const translations = Object.fromEntries(TRANSLATION_LOCALES.map(locale => [locale, {}]));
+    for (const row of rows) {
+      if (translations[row.locale]) {
+        translations[row.locale][row.field] = row.value;
+      }
+    }
+
+    return {
+      defaultLocale: DEFAULT_LOCALE,
+      fields,
+      translations,
+      missing: missingFields(entityType, item, rows)
+    };
+  }
+
+  function checkLocale(locale) {
+    return TRANSLATION_LOCALES.includes(locale)
+      ? null
+      : `Locale must be one of: ${TRANSLATION_LOCALES.join(', ')} (the ${DEFAULT_LOCALE} text is the ${noun} itself)`;
+  }
+
+  router.get('/translations/missing', authMiddleware, requirePermission(`${resource}:read`), async (req, res) => {
+    try {
+      const validation = validate(missingTranslationsQuerySchema, req.query);
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Please check your filters',
+          details: validation.errors
+        });
+      }
+
+      const { locale, page, limit } = validation.data;
+      const { items, total } = await db.getMissingTranslations(entityType, {
+        fields,
+        locales: locale ? [locale] : TRANSLATION_LOCALES,
+        page,
+        limit
+      });
+
+      res.json(paginated(items, total, validation.data));
+    } catch (error) {
+      console.error(`Get missing ${noun} translations error:`, error);
+      res.status(500).json({ error: 'Could not load missing translations. Please try again.' });
+    }
+  });
+
+  router.get('/:id/translations', authMiddleware, requirePermission(`${resource}:read`), async (req, res) => {
+    try {
+      const item = await getById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      res.json(await translationSummary(item));
+    } catch (error) {
+      console.error(`Get ${noun} translations error:`, error);
+      res.status(500).json({ error: `Could not load ${noun} translations. Please try again.` });
+    }
+  });
+
+  router.put('/:id/translations/:locale', authMiddleware, requirePermission(`${resource}:write`), async (req, res) => {
+    try {
+      const localeError = checkLocale(req.params.locale);
+      if (localeError) {
+        return res.status(400).json({ error: localeError });
+      }
+
+      const validation = validate(schema, req.body || {});
+
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Please check your input',
+          details: validation.errors
+        });
+      }
+
+      const item = await getById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const before = await translationSummary(item);
+      await db.saveTranslations(entityType, item.id, req.params.locale, validation.data, req.user.id);
+      const after = await translationSummary(item);
+
+      await recordAudit(req, {
+        action: `${entityType}.translation_updated`,
+        entityType,
+        entityId: item.id,
+        before: { [req.params.locale]: before.translations[req.params.locale] },
+        after: { [req.params.locale]: after.translations[req.params.locale] }
+      });
+
+      res.json(after);
+    } catch (error) {
+      console.error(`Update ${noun} translation error:`, error);
+      res.status(500).json({ error: `Could not save ${noun} translation. Please try again.` });
+    }
+  });
+
+  router.delete('/:id/translations/:locale', authMiddleware, requirePermission(`${resource}:write`), async (req, res) => {
+    try {
+      const localeError = checkLocale(req.params.locale);
+      if (localeError) {
+        return res.status(400).json({ error: localeError });
+      }
+
+      const item = await getById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const before = await translationSummary(item);
+      const deleted = await db.deleteTranslations(entityType, item.id, req.params.locale);
+
+      if (deleted === 0) {
+        return res.status(404).json({ error: `This ${noun} has no ${req.params.locale} translation` });
+      }
+
+      await recordAudit(req, {
+        action: `${entityType}.translation_deleted`,
+        entityType,
+        entityId: item.id,
+        before: { [req.params.locale]: before.translations[req.params.locale] }
+      });
+
+      res.json({ success: true, message: 'Translation removed' });
+    } catch (error) {
+      console.error(`Delete ${noun} translation error:`, error);
+      res.status(500).json({ error: `Could not remove ${noun} translation. Please try again.` });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { translationRoutes };
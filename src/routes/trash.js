@@ -0,0 +1,120 @@
+const express = require('express');
+const { validate, trashQuerySchema } = require('../lib/validation');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { principalCan } = require('../lib/permissions');
+const { TRASH_TYPES, purgeDate, purgeItem } = require('../lib/trash');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
+const db = require('../lib/db');
+
+const router = express.Router();
+
+const READ_PERMISSIONS = Object.keys(TRASH_TYPES).map(type => `${type}:read`);
+
+// Look up a trashed item the caller may act on - returns { config, item } or { status, error }
+// Restoring needs <type>:write; purging needs <type>:publish as it can't be undone
+async function findTrashed(req, action) {
+  const config = TRASH_TYPES[req.params.type];
+  if (!config) {
+    return { status: 404, error: 'Unknown content type' };
+  }
+
+  if (!principalCan(req.user, `${req.params.type}:${action}`)) {
+    return { status: 403, error: "You don't have permission to access this resource" };
+  }
+
+  const item = await db.getTrashedContent(config.table, req.params.id);
+  if (!item) {
+    return { status: 404, error: `${config.label} not found in trash` };
+  }
+
+  return { config, item };
+}
+
+// GET /api/trash - Deleted content of the types the caller can read (paginated, newest first)
+router.get('/', authMiddleware, requirePermission(...READ_PERMISSIONS), async (req, res) => {
+  try {
+    const validation = validate(trashQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const { type, page, limit } = validation.data;
+    const types = (type ? [type] : Object.keys(TRASH_TYPES))
+      .filter(trashType => principalCan(req.user, `${trashType}:read`));
+
+    if (types.length === 0) {
+      return res.json(paginated([], 0, { page, limit }));
+    }
+
+    const { items, total } = await db.getTrash({
+      tables: types.map(trashType => TRASH_TYPES[trashType].table),
+      page,
+      limit
+    });
+
+    res.json(paginated(
+      items.map(item => ({ ...item, purgeAt: purgeDate(item.deletedAt) })),
+      total,
+      { page, limit }
+    ));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Could not load the trash. Please try again.' });
+  }
+});
+
+// POST /api/trash/:type/:id/restore - Put a deleted item back (protected)
+router.post('/:type/:id/restore', authMiddleware, async (req, res) => {
+  try {
+    const { config, item, status, error } = await findTrashed(req, 'write');
+    if (!item) {
+      return res.status(status).json({ error });
+    }
+
+    await db.restoreContent(config.table, item.id);
+
+    await recordAudit(req, {
+      action: `${config.entityType}.restored_from_trash`,
+      entityType: config.entityType,
+      entityId: item.id,
+      before: { deletedAt: item.deletedAt, deletedBy: item.deletedBy },
+      after: { deletedAt: null, deletedBy: null }
+    });
+
+    res.json({ success: true, message: `${config.label} restored successfully` });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ error: 'Could not restore this item. Please try again.' });
+  }
+});
+
+// DELETE /api/trash/:type/:id - Delete an item and its unused images for good (protected)
+router.delete('/:type/:id', authMiddleware, async (req, res) => {
+  try {
+    const { config, item, status, error } = await findTrashed(req, 'publish');
+    if (!item) {
+      return res.status(status).json({ error });
+    }
+
+    await purgeItem(req.params.type, item);
+
+    await recordAudit(req, {
+      action: `${config.entityType}.purged`,
+      entityType: config.entityType,
+      entityId: item.id,
+      before: item
+    });
+
+    res.json({ success: true, message: `${config.label} permanently deleted` });
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json({ error: 'Could not delete this item. Please try again.' });
+  }
+});
+
+module.exports = router;
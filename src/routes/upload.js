@@ -3,7 +3,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { canUploadTo } = require('../lib/permissions');
+const { recordAudit } = require('../lib/audit');
 
 const router = express.Router();
 
@@ -27,6 +29,14 @@ const storage = multer.diskStorage({
       return cb(new Error('Invalid category. Must be one of: services, events, theme'));
     }
 
+    // Role must be allowed to manage the content type it is uploading for
+    if (!canUploadTo(req.user.role, category)) {
+      console.error('❌ [UPLOAD] Role not allowed for category:', req.user.role, category);
+      const error = new Error(`You don't have permission to upload ${category} images`);
+      error.status = 403;
+      return cb(error);
+    }
+
     const dirName = categoryMap[category];
     const uploadDir = path.join(__dirname, '..', '..', 'public', 'uploads', dirName);
 
@@ -72,7 +82,7 @@ const upload = multer({
 });
 
 // Upload endpoint - multer handles both fields and file
-router.post('/', authMiddleware, upload.single('file'), (req, res) => {
+router.post('/', authMiddleware, requirePermission('uploads:write'), upload.single('file'), async (req, res) => {
   console.log('📥 [UPLOAD API] Received upload request');
 
   if (!req.file) {
@@ -110,6 +120,19 @@ router.post('/', authMiddleware, upload.single('file'), (req, res) => {
     actualPath: req.file.path
   });
 
+  await recordAudit(req, {
+    action: 'upload.created',
+    entityType: 'upload',
+    entityId: url,
+    after: {
+      url,
+      category,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    }
+  });
+
   res.json({
     success: true,
     url,
@@ -131,7 +154,7 @@ router.use((err, req, res, next) => {
   }
 
   console.error('❌ [UPLOAD API] Rejection reason:', err.message);
-  return res.status(400).json({ error: err.message || 'Upload failed. Please try again.' });
+  return res.status(err.status || 400).json({ error: err.message || 'Upload failed. Please try again.' });
 });
 
 module.exports = router;
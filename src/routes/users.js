@@ -1,24 +1,193 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { authMiddleware, hashPassword } = require('../middleware/auth');
+const { authMiddleware, requirePermission, hashPassword } = require('../middleware/auth');
+const { ROLES, isValidRole } = require('../lib/permissions');
+const { validate, invitationSchema, userQuerySchema } = require('../lib/validation');
+const { randomToken, hashToken } = require('../lib/tokens');
+const { sendMail } = require('../lib/mailer');
+const { invitationEmail } = require('../lib/emails');
+const { recordAudit } = require('../lib/audit');
+const { paginated } = require('../lib/pagination');
 const db = require('../lib/db');
 
 const router = express.Router();
 
-// All routes require authentication
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS || '7');
+
+function inviteExpiry() {
+  return new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Email the invitation link - failures are logged so the invite can be resent
+async function sendInvitationEmail(invitation, token, inviterName) {
+  try {
+    await sendMail({
+      to: invitation.email,
+      ...invitationEmail({
+        name: invitation.name,
+        inviterName,
+        role: invitation.role,
+        token,
+        expiresInDays: INVITE_TTL_DAYS
+      })
+    });
+    return true;
+  } catch (error) {
+    console.error('Invitation email error:', error);
+    return false;
+  }
+}
+
+// All routes require authentication and user management permission (super admin)
 router.use(authMiddleware);
+router.use(requirePermission('users:manage'));
 
-// GET /api/users - Get all users
+// GET /api/users - List users (paginated, filterable, sortable)
 router.get('/', async (req, res) => {
   try {
-    const users = await db.getUsers();
-    res.json(users);
+    const validation = validate(userQuerySchema, req.query);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your filters',
+        details: validation.errors
+      });
+    }
+
+    const filters = validation.data;
+    const { users, total } = await db.getUsers(filters);
+    res.json(paginated(users, total, filters));
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ error: 'Could not load users' });
   }
 });
 
+// GET /api/users/invites - List pending invitations
+router.get('/invites', async (req, res) => {
+  try {
+    const invitations = await db.getPendingInvitations();
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Could not load invitations' });
+  }
+});
+
+// POST /api/users/invites - Invite a new user by email
+router.post('/invites', async (req, res) => {
+  try {
+    const validation = validate(invitationSchema, req.body);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Please check your input',
+        details: validation.errors
+      });
+    }
+
+    const { email, name, role } = validation.data;
+
+    const existingUser = await db.getUserByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({ error: 'A user with this email already exists' });
+    }
+
+    const pending = await db.getPendingInvitationByEmail(email);
+    if (pending) {
+      return res.status(400).json({ error: 'An invitation is already pending for this email. Resend it instead.' });
+    }
+
+    const token = randomToken();
+    const invitation = await db.createInvitation({
+      id: `invite-${uuidv4()}`,
+      email,
+      name,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: inviteExpiry()
+    });
+
+    const inviter = await db.getUserById(req.user.id);
+    const emailSent = await sendInvitationEmail(invitation, token, inviter?.name);
+
+    await recordAudit(req, {
+      action: 'invitation.created',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      after: invitation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Invitation sent successfully.'
+        : 'Invitation created, but the email could not be sent. Try resending it.',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Could not create invitation' });
+  }
+});
+
+// POST /api/users/invites/:id/resend - Issue a fresh link and email it again
+router.post('/invites/:id/resend', async (req, res) => {
+  try {
+    const existing = await db.getInvitationById(req.params.id);
+
+    if (!existing || existing.acceptedAt || existing.revokedAt) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const token = randomToken();
+    const invitation = await db.renewInvitationToken(existing.id, hashToken(token), inviteExpiry());
+
+    const inviter = await db.getUserById(req.user.id);
+    const emailSent = await sendInvitationEmail(invitation, token, inviter?.name);
+
+    await recordAudit(req, {
+      action: 'invitation.resent',
+      entityType: 'invitation',
+      entityId: invitation.id,
+      before: { expiresAt: existing.expiresAt },
+      after: { expiresAt: invitation.expiresAt }
+    });
+
+    if (!emailSent) {
+      return res.status(502).json({ error: 'Could not send the invitation email. Please try again.' });
+    }
+
+    res.json({ success: true, message: 'Invitation resent successfully.', invitation });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: 'Could not resend invitation' });
+  }
+});
+
+// DELETE /api/users/invites/:id - Revoke a pending invitation
+router.delete('/invites/:id', async (req, res) => {
+  try {
+    const revoked = await db.revokeInvitation(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.revoked',
+      entityType: 'invitation',
+      entityId: req.params.id
+    });
+
+    res.json({ success: true, message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Could not revoke invitation' });
+  }
+});
+
 // GET /api/users/:id - Get single user
 router.get('/:id', async (req, res) => {
   try {
@@ -48,6 +217,10 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
     // Check if email already exists
     const existingUser = await db.getUserByEmail(email);
     if (existingUser) {
@@ -67,6 +240,13 @@ router.post('/', async (req, res) => {
 
     const created = await db.createUser(user);
 
+    await recordAudit(req, {
+      action: 'user.created',
+      entityType: 'user',
+      entityId: created.id,
+      after: created
+    });
+
     res.status(201).json({
       success: true,
       message: 'User created successfully. They will be asked to change their password on first login.',
@@ -90,6 +270,10 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
     if (email) {
       const existingUser = await db.getUserByEmail(email);
       if (existingUser && existingUser.id !== req.params.id) {
@@ -97,12 +281,29 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    const existing = await db.getUserById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const updated = await db.updateUser(req.params.id, { email, name, role, isActive });
 
     if (!updated) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (isActive === false) {
+      await db.revokeUserSessions(updated.id);
+    }
+
+    await recordAudit(req, {
+      action: 'user.updated',
+      entityType: 'user',
+      entityId: updated.id,
+      before: existing,
+      after: updated
+    });
+
     res.json(updated);
   } catch (error) {
     console.error('Update user error:', error);
@@ -127,10 +328,16 @@ router.put('/:id/reset-password', async (req, res) => {
     const passwordHash = await hashPassword(newPassword);
     
     // Reset password and require change on next login
-    await db.updateUserPassword(user.id, passwordHash);
-    
-    // Mark that user must change password (we need to update this separately)
-    await db.updateUser(user.id, {});
+    await db.updateUserPassword(user.id, passwordHash, { mustChangePassword: true });
+
+    // Old password is gone, so are the sessions signed in with it
+    await db.revokeUserSessions(user.id);
+
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      entityType: 'user',
+      entityId: user.id
+    });
     
     res.json({ 
       success: true, 
@@ -142,6 +349,96 @@ router.put('/:id/reset-password', async (req, res) => {
   }
 });
 
+// POST /api/users/:id/unlock - Clear a login lockout (admin action)
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const existing = await db.getUserById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const unlocked = await db.unlockUser(existing.id);
+
+    await recordAudit(req, {
+      action: 'user.unlocked',
+      entityType: 'user',
+      entityId: existing.id,
+      before: { failedLoginCount: existing.failedLoginCount, lockedUntil: existing.lockedUntil },
+      after: { failedLoginCount: unlocked.failedLoginCount, lockedUntil: unlocked.lockedUntil }
+    });
+
+    res.json({ success: true, message: 'Account unlocked successfully', user: unlocked });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Could not unlock user' });
+  }
+});
+
+// PUT /api/users/:id/2fa - Require (or stop requiring) two-factor for a user
+router.put('/:id/2fa', async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'required must be true or false' });
+    }
+
+    const existing = await db.getUserById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updated = await db.setTotpRequired(existing.id, required);
+
+    await recordAudit(req, {
+      action: 'user.two_factor_requirement_changed',
+      entityType: 'user',
+      entityId: existing.id,
+      before: { totpRequired: existing.totpRequired },
+      after: { totpRequired: updated.totpRequired }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update two-factor requirement error:', error);
+    res.status(500).json({ error: 'Could not update two-factor requirement' });
+  }
+});
+
+// DELETE /api/users/:id/2fa - Reset two-factor for a user who lost their device
+router.delete('/:id/2fa', async (req, res) => {
+  try {
+    const existing = await db.getUserById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updated = await db.disableTotp(existing.id);
+
+    await recordAudit(req, {
+      action: 'user.two_factor_reset',
+      entityType: 'user',
+      entityId: existing.id,
+      before: { totpEnabled: existing.totpEnabled },
+      after: { totpEnabled: updated.totpEnabled }
+    });
+
+    res.json({
+      success: true,
+      message: updated.totpRequired
+        ? 'Two-factor has been reset. The user will be asked to set it up again.'
+        : 'Two-factor has been reset.',
+      user: updated
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Could not reset two-factor' });
+  }
+});
+
 // DELETE /api/users/:id - Deactivate user
 router.delete('/:id', async (req, res) => {
   try {
@@ -150,12 +447,20 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'You cannot deactivate your own account' });
     }
 
+    const existing = await db.getUserById(req.params.id);
     const deleted = await db.deleteUser(req.params.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, {
+      action: 'user.deactivated',
+      entityType: 'user',
+      entityId: req.params.id,
+      before: existing
+    });
+
     res.json({ success: true, message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -0,0 +1,82 @@
+const express = require('express');
+const { validate, workflowActionSchema } = require('../lib/validation');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { WORKFLOW_ACTIONS } = require('../lib/workflow');
+const { recordAudit } = require('../lib/audit');
+const db = require('../lib/db');
+
+// Review workflow routes, mounted by each content router:
+//   POST /:id/submit  - draft -> pending_review (<resource>:write)
+//   POST /:id/approve - pending_review, draft or archived -> published (<resource>:publish)
+//   POST /:id/reject  - pending_review -> draft, comment required (<resource>:publish)
+//   POST /:id/archive - published -> archived (<resource>:publish)
+// Options: resource (permission prefix and table), entityType (audit log), label, getById
+function workflowRoutes({ resource, entityType, label, getById }) {
+  const router = express.Router();
+  const noun = label.toLowerCase();
+
+  for (const [action, transition] of Object.entries(WORKFLOW_ACTIONS)) {
+    router.post(`/:id/${action}`, authMiddleware, requirePermission(`${resource}:${transition.permission}`), async (req, res) => {
+      try {
+        const validation = validate(workflowActionSchema, req.body || {});
+
+        if (!validation.valid) {
+          return res.status(400).json({
+            error: 'Please check your input',
+            details: validation.errors
+          });
+        }
+
+        const { comment } = validation.data;
+
+        if (transition.commentRequired && !comment) {
+          return res.status(400).json({
+            error: 'Please check your input',
+            details: [{ field: 'comment', message: 'Please say what needs to change' }]
+          });
+        }
+
+        const existing = await getById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: `${label} not found` });
+        }
+
+        if (!transition.from.includes(existing.workflowStatus)) {
+          return res.status(400).json({
+            error: `Cannot ${action} ${noun} while it is ${existing.workflowStatus.replace('_', ' ')}`
+          });
+        }
+
+        const moved = await db.setWorkflowStatus(resource, existing.id, {
+          expected: existing.workflowStatus,
+          status: transition.to,
+          comment,
+          userId: req.user.id
+        });
+        if (!moved) {
+          return res.status(409).json({
+            error: `This ${noun} was changed by someone else. Please reload it and try again.`
+          });
+        }
+        const updated = await getById(existing.id);
+
+        await recordAudit(req, {
+          action: `${entityType}.${transition.audit}`,
+          entityType,
+          entityId: existing.id,
+          before: existing,
+          after: updated
+        });
+
+        res.json(updated);
+      } catch (error) {
+        console.error(`${label} ${action} error:`, error);
+        res.status(500).json({ error: `Could not ${action} ${noun}. Please try again.` });
+      }
+    });
+  }
+
+  return router;
+}
+
+module.exports = { workflowRoutes };
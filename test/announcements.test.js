@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const db = require('../src/lib/db');
+const { generateToken } = require('../src/middleware/auth');
+const announcementsRoutes = require('../src/routes/announcements');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const live = {
+  id: 'announcement-1',
+  slug: 'harvest-thanksgiving',
+  title: 'Harvest Thanksgiving',
+  workflowStatus: 'published',
+  isActive: true,
+  publishAt: null,
+  expiresAt: null
+};
+
+// Status of GET /api/announcements/:id and /by-slug/:slug for the stored announcement
+async function fetchStatuses(announcement, token) {
+  db.getAnnouncementById = async () => announcement;
+  db.getContentBySlug = async () => announcement;
+  db.getActiveSession = async () => ({ userId: 'user-1', email: 'admin@example.com', role: 'admin' });
+
+  const app = express();
+  app.use('/api/announcements', announcementsRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/announcements`;
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  try {
+    const byId = await fetch(`${base}/${announcement.id}`, { headers });
+    const bySlug = await fetch(`${base}/by-slug/${announcement.slug}`, { headers });
+    return [byId.status, bySlug.status];
+  } finally {
+    server.close();
+  }
+}
+
+test('live announcements are public', async () => {
+  const window = { publishAt: new Date(Date.now() - HOUR_MS).toISOString(), expiresAt: new Date(Date.now() + HOUR_MS).toISOString() };
+
+  assert.deepStrictEqual(await fetchStatuses(live), [200, 200]);
+  assert.deepStrictEqual(await fetchStatuses({ ...live, ...window }), [200, 200]);
+});
+
+test('unpublished, inactive, scheduled and expired announcements are hidden from the public', async () => {
+  const hidden = [
+    { workflowStatus: 'draft' },
+    { isActive: false },
+    { publishAt: new Date(Date.now() + HOUR_MS).toISOString() },
+    { expiresAt: new Date(Date.now() - HOUR_MS).toISOString() }
+  ];
+
+  for (const changes of hidden) {
+    assert.deepStrictEqual(await fetchStatuses({ ...live, ...changes }), [404, 404], JSON.stringify(changes));
+  }
+});
+
+test('callers with announcements:read see hidden announcements', async () => {
+  const token = generateToken({ id: 'user-1', email: 'admin@example.com', role: 'admin' }, 'session-1');
+
+  assert.deepStrictEqual(await fetchStatuses({ ...live, isActive: false }, token), [200, 200]);
+});
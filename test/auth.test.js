@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/lib/db');
+const { generateToken, authMiddleware } = require('../src/middleware/auth');
+
+const user = { id: 'user-1', email: 'admin@example.com', role: 'admin' };
+
+// Run authMiddleware for a request; resolves with the rejection or 'next'
+function authenticate(session, method, url) {
+  db.getActiveSession = async () => ({ userId: user.id, email: user.email, role: user.role, ...session });
+
+  // "/api/auth/password" is mounted at "/api/auth" with path "/password"
+  const [, api, mount, ...rest] = url.split('/');
+  const req = {
+    method,
+    baseUrl: `/${api}/${mount}`,
+    path: `/${rest.join('/')}`,
+    headers: { authorization: `Bearer ${generateToken(user, 'session-1')}` }
+  };
+
+  return new Promise(resolve => {
+    const res = {
+      status(status) {
+        return { json: body => resolve({ status, ...body }) };
+      }
+    };
+    authMiddleware(req, res, () => resolve('next'));
+  });
+}
+
+test('a temporary password only allows the password change routes', async () => {
+  const session = { mustChangePassword: true };
+
+  assert.strictEqual(await authenticate(session, 'PUT', '/api/auth/password'), 'next');
+  assert.strictEqual((await authenticate(session, 'GET', '/api/events/drafts')).code, 'PASSWORD_CHANGE_REQUIRED');
+});
+
+test('required two-factor only allows the setup routes', async () => {
+  const session = { totpRequired: true, totpEnabled: false };
+
+  assert.strictEqual(await authenticate(session, 'POST', '/api/auth/2fa/setup'), 'next');
+  assert.strictEqual((await authenticate(session, 'GET', '/api/users')).code, 'TWO_FACTOR_SETUP_REQUIRED');
+});
+
+test('an account with both a temporary password and required two-factor changes the password first', async () => {
+  const session = { mustChangePassword: true, totpRequired: true, totpEnabled: false };
+
+  assert.strictEqual(await authenticate(session, 'PUT', '/api/auth/password'), 'next');
+  assert.strictEqual((await authenticate(session, 'POST', '/api/auth/2fa/setup')).code, 'PASSWORD_CHANGE_REQUIRED');
+
+  // Once the password is changed, two-factor setup is next
+  const changed = { ...session, mustChangePassword: false };
+  assert.strictEqual(await authenticate(changed, 'POST', '/api/auth/2fa/setup'), 'next');
+  assert.strictEqual((await authenticate(changed, 'GET', '/api/users')).code, 'TWO_FACTOR_SETUP_REQUIRED');
+});
+
+test('enrolled two-factor lifts the gate', async () => {
+  assert.strictEqual(await authenticate({ totpRequired: true, totpEnabled: true }, 'GET', '/api/users'), 'next');
+});
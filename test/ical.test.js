@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar } = require('../src/lib/ical');
+const { expandOccurrences } = require('../src/lib/recurrence');
+
+const event = {
+  id: 'event-1',
+  title: 'Prayer Meeting',
+  date: '2025-01-01',
+  time: '6:00 PM - 8:00 PM',
+  createdAt: '2024-12-01T00:00:00Z'
+};
+
+// RRULE line of the event's VEVENT
+function rrule(recurrence) {
+  return buildCalendar([{ ...event, recurrence }]).split('\r\n').find(line => line.startsWith('RRULE:'));
+}
+
+test('weekly rules start their weeks on Sunday, as the API expands them', () => {
+  const recurrence = { frequency: 'weekly', interval: 2, byWeekday: ['SU', 'WE'] };
+
+  assert.strictEqual(rrule(recurrence), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,WE;WKST=SU');
+  assert.deepStrictEqual(
+    expandOccurrences(event.date, recurrence, null, '2025-01-31'),
+    ['2025-01-01', '2025-01-12', '2025-01-15', '2025-01-26', '2025-01-29']
+  );
+});
+
+test('daily and monthly rules carry no week start', () => {
+  assert.strictEqual(rrule({ frequency: 'daily', count: 5 }), 'RRULE:FREQ=DAILY;COUNT=5');
+  assert.strictEqual(
+    rrule({ frequency: 'monthly', byWeekday: ['SU'], weekOfMonth: 1, until: '2025-06-30' }),
+    'RRULE:FREQ=MONTHLY;BYDAY=1SU;UNTIL=20250630T235959Z'
+  );
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toDateString, expandOccurrences, isOccurrence, addDaysToDateString } = require('../src/lib/recurrence');
+
+// 2025-01-01 is a Wednesday
+
+test('weekly rules repeat on the start date\'s weekday by default', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-01', { frequency: 'weekly' }, null, '2025-01-31'),
+    ['2025-01-01', '2025-01-08', '2025-01-15', '2025-01-22', '2025-01-29']
+  );
+});
+
+test('weekly rules with an interval and several weekdays skip weeks and days before the start', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-01', { frequency: 'weekly', interval: 2, byWeekday: ['SU', 'WE'] }, null, '2025-01-31'),
+    ['2025-01-01', '2025-01-12', '2025-01-15', '2025-01-26', '2025-01-29']
+  );
+});
+
+test('monthly rules can fall on the first or last weekday of the month', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-05', { frequency: 'monthly', byWeekday: ['SU'], weekOfMonth: 1 }, null, '2025-04-30'),
+    ['2025-01-05', '2025-02-02', '2025-03-02', '2025-04-06']
+  );
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-31', { frequency: 'monthly', byWeekday: ['FR'], weekOfMonth: -1 }, null, '2025-03-31'),
+    ['2025-01-31', '2025-02-28', '2025-03-28']
+  );
+});
+
+test('monthly rules on a day of the month skip months without it', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-31', { frequency: 'monthly' }, null, '2025-05-31'),
+    ['2025-01-31', '2025-03-31', '2025-05-31']
+  );
+});
+
+test('count includes excepted dates, and until ends the series', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-01', { frequency: 'daily', count: 5, exceptDates: ['2025-01-03'] }, null, '2025-01-31'),
+    ['2025-01-01', '2025-01-02', '2025-01-04', '2025-01-05']
+  );
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-01', { frequency: 'daily', until: '2025-01-03' }, null, '2025-01-10'),
+    ['2025-01-01', '2025-01-02', '2025-01-03']
+  );
+});
+
+test('expansion can start part-way through a series', () => {
+  assert.deepStrictEqual(
+    expandOccurrences('2025-01-01', { frequency: 'weekly' }, '2025-01-10', '2025-01-31'),
+    ['2025-01-15', '2025-01-22', '2025-01-29']
+  );
+});
+
+test('isOccurrence checks a single date', () => {
+  assert.strictEqual(isOccurrence('2025-01-01', { frequency: 'weekly' }, '2025-01-08'), true);
+  assert.strictEqual(isOccurrence('2025-01-01', { frequency: 'weekly' }, '2025-01-09'), false);
+});
+
+test('date strings come from DATE values and ISO strings, and cross month and year ends', () => {
+  assert.strictEqual(toDateString(new Date(2025, 0, 5)), '2025-01-05');
+  assert.strictEqual(toDateString('2025-01-05T10:00:00Z'), '2025-01-05');
+  assert.strictEqual(addDaysToDateString('2024-02-28', 1), '2024-02-29');
+  assert.strictEqual(addDaysToDateString('2024-12-31', 1), '2025-01-01');
+});
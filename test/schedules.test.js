@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toMinutes, churchToday, upcomingGatherings, scheduleByDay } = require('../src/lib/schedules');
+
+// Sunday 5 January 2025, 9:30 at the church (Africa/Monrovia is GMT all year)
+const now = new Date('2025-01-05T09:30:00Z');
+
+const services = [
+  {
+    id: 'service-1',
+    title: 'Sunday Service',
+    schedule: [
+      { weekday: 'SU', startTime: '07:00', endTime: '09:00', language: 'en' },
+      { weekday: 'SU', startTime: '09:00', endTime: '11:00', language: 'fr' }
+    ]
+  },
+  {
+    id: 'service-2',
+    title: 'Midweek Service',
+    schedule: [{ weekday: 'WE', startTime: '18:00', venue: 'Main Auditorium', language: 'en' }]
+  }
+];
+
+test('toMinutes reads HH:MM', () => {
+  assert.strictEqual(toMinutes('00:00'), 0);
+  assert.strictEqual(toMinutes('18:45'), 1125);
+});
+
+test('churchToday is the date at the church, not the server', () => {
+  assert.strictEqual(churchToday(new Date('2025-01-05T23:59:00Z')), '2025-01-05');
+  assert.strictEqual(churchToday(new Date('2025-01-06T00:01:00Z')), '2025-01-06');
+});
+
+test('upcoming gatherings leave out ended ones and flag those under way', () => {
+  const gatherings = upcomingGatherings(services, { now });
+
+  assert.deepStrictEqual(
+    gatherings.map(({ serviceId, date, startTime, startsAt, inProgress }) => ({ serviceId, date, startTime, startsAt, inProgress })),
+    [
+      { serviceId: 'service-1', date: '2025-01-05', startTime: '09:00', startsAt: '2025-01-05T09:00:00.000Z', inProgress: true },
+      { serviceId: 'service-2', date: '2025-01-08', startTime: '18:00', startsAt: '2025-01-08T18:00:00.000Z', inProgress: false }
+    ]
+  );
+  assert.strictEqual(gatherings[1].endsAt, null);
+  assert.strictEqual(gatherings[1].venue, 'Main Auditorium');
+});
+
+test('upcoming gatherings can be limited by language and number of days', () => {
+  assert.deepStrictEqual(
+    upcomingGatherings(services, { language: 'en', now }).map(gathering => gathering.date),
+    ['2025-01-08']
+  );
+  assert.deepStrictEqual(upcomingGatherings(services, { days: 3, now }).map(gathering => gathering.date), ['2025-01-05']);
+});
+
+test('the schedule lists every day, with or without gatherings', () => {
+  const days = scheduleByDay(upcomingGatherings(services, { now }), { days: 4, now });
+
+  assert.deepStrictEqual(days.map(day => [day.date, day.weekday, day.gatherings.length]), [
+    ['2025-01-05', 'SU', 1],
+    ['2025-01-06', 'MO', 0],
+    ['2025-01-07', 'TU', 0],
+    ['2025-01-08', 'WE', 1]
+  ]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/lib/db');
+const { slugify, uniqueSlug, saveWithSlug } = require('../src/lib/slugs');
+
+// Unique violation on the slug index, as pg reports it
+function slugClash(table) {
+  return Object.assign(new Error('duplicate key value'), { code: '23505', constraint: `idx_${table}_slug` });
+}
+
+test('slugify lowercases, drops accents and joins words with hyphens', () => {
+  assert.strictEqual(slugify('Easter Sunday Service!'), 'easter-sunday-service');
+  assert.strictEqual(slugify('Café Crème Night'), 'cafe-creme-night');
+  assert.strictEqual(slugify('  --Hello,   World--  '), 'hello-world');
+  assert.strictEqual(slugify('!!!'), '');
+});
+
+test('slugify keeps slugs within the length limit without a trailing hyphen', () => {
+  const slug = slugify(`${'a'.repeat(79)} b`);
+  assert.strictEqual(slug, 'a'.repeat(79));
+});
+
+test('uniqueSlug numbers a taken slug and falls back for titles without letters', async () => {
+  db.getTakenSlugs = async (table, base) => ['easter', 'easter-2'].filter(slug => slug.startsWith(base));
+
+  assert.strictEqual(await uniqueSlug('events', 'Easter'), 'easter-3');
+  assert.strictEqual(await uniqueSlug('events', 'Easter', ['easter-3']), 'easter-4');
+  assert.strictEqual(await uniqueSlug('events', '???'), 'event');
+});
+
+test('saveWithSlug moves a generated slug on when another save takes it first', async () => {
+  const taken = [];
+  db.getTakenSlugs = async () => [...taken];
+  const tried = [];
+
+  const result = await saveWithSlug('events', { title: 'Easter' }, null, async slug => {
+    tried.push(slug);
+    if (slug === 'easter') {
+      taken.push(slug);
+      throw slugClash('events');
+    }
+    return { slug };
+  });
+
+  assert.deepStrictEqual(tried, ['easter', 'easter-2']);
+  assert.deepStrictEqual(result, { saved: { slug: 'easter-2' } });
+});
+
+test('saveWithSlug refuses an editor slug taken in the meantime', async () => {
+  db.getTakenSlugs = async () => [];
+
+  const result = await saveWithSlug('events', { title: 'Easter', slug: 'easter' }, null, async () => {
+    throw slugClash('events');
+  });
+
+  assert.deepStrictEqual(result, { error: 'This slug is already in use' });
+});
+
+test('saveWithSlug passes other errors on', async () => {
+  db.getTakenSlugs = async () => [];
+
+  await assert.rejects(
+    saveWithSlug('events', { title: 'Easter' }, null, async () => {
+      throw Object.assign(new Error('duplicate key value'), { code: '23505', constraint: 'events_pkey' });
+    }),
+    { constraint: 'events_pkey' }
+  );
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ticketCode, verifyTicketCode } = require('../src/lib/tickets');
+
+const ticket = { id: 'ticket-1', eventId: 'event-1' };
+
+test('a ticket code verifies at its own event', () => {
+  assert.strictEqual(verifyTicketCode('event-1', ticketCode(ticket)), 'ticket-1');
+  assert.strictEqual(verifyTicketCode('event-1', ` ${ticketCode(ticket)}\n`), 'ticket-1');
+});
+
+test('a ticket code is refused at another event', () => {
+  assert.strictEqual(verifyTicketCode('event-2', ticketCode(ticket)), null);
+});
+
+test('an edited or malformed code is refused', () => {
+  const [, signature] = ticketCode(ticket).split('.');
+
+  assert.strictEqual(verifyTicketCode('event-1', `ticket-2.${signature}`), null);
+  assert.strictEqual(verifyTicketCode('event-1', `ticket-1.${signature.slice(1)}`), null);
+  assert.strictEqual(verifyTicketCode('event-1', `${ticketCode(ticket)}.extra`), null);
+  assert.strictEqual(verifyTicketCode('event-1', 'ticket-1'), null);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, eventQuerySchema, userQuerySchema } = require('../src/lib/validation');
+
+test('list queries default to the first page of 50', () => {
+  assert.deepStrictEqual(validate(eventQuerySchema, {}), { valid: true, data: { page: 1, limit: 50 } });
+});
+
+test('list queries read numbers and flags from query strings', () => {
+  const { valid, data } = validate(eventQuerySchema, {
+    page: '3',
+    limit: '20',
+    sort: '-date',
+    includeInactive: 'true',
+    workflowStatus: 'all',
+    from: '2025-01-01'
+  });
+
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(data, {
+    page: 3,
+    limit: 20,
+    sort: '-date',
+    includeInactive: true,
+    workflowStatus: 'all',
+    from: '2025-01-01'
+  });
+});
+
+test('list queries reject unknown sort fields, oversized pages and bad dates, naming the field', () => {
+  const { valid, errors } = validate(eventQuerySchema, { sort: 'password', limit: '500', to: '2025-13-01' });
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors.map(error => error.field).sort(), ['limit', 'sort', 'to']);
+  assert.ok(errors.every(error => typeof error.message === 'string' && error.message.length > 0));
+});
+
+test('each list has its own sort fields and filters', () => {
+  assert.strictEqual(validate(userQuerySchema, { sort: 'lastLogin', role: 'admin' }).valid, true);
+  assert.strictEqual(validate(userQuerySchema, { sort: 'date' }).valid, false);
+  assert.strictEqual(validate(userQuerySchema, { role: 'owner' }).valid, false);
+});